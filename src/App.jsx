@@ -1,5 +1,29 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
+import ColumnMappingPanel from "./ColumnMappingPanel.jsx";
+import ImportResultTable from "./ImportResultTable.jsx";
+import UploadPanel from "./UploadPanel.jsx";
+import ValueRulesEditor from "./ValueRulesEditor.jsx";
+import ValueTransformPreview from "./ValueTransformPreview.jsx";
+import {
+  deleteMappingProfile,
+  listMappingProfiles,
+  pruneColumnMapping,
+  pruneValueRules,
+  saveMappingProfile,
+} from "./columnMappingProfiles.js";
+import { scanHeadersInWorker, validateWorkbookInWorker } from "./excelImportWorkerClient.js";
+import { IMPORT_FORMATS, detectImportFormat } from "./importFormats.js";
+import { buildImportResultRows } from "./importResultReport.js";
+import { buildImportDiffRows, loadCurrentPimState, summarizeImportDiff } from "./importDiff.js";
+import { planDeltaPush, saveDeltaBaseline } from "./importDeltaStore.js";
+import {
+  DEFAULT_ITEM_BATCH_SIZE,
+  clearPushCheckpoint,
+  pushImportInBatches,
+  readPushCheckpoint,
+} from "./importPushClient.js";
+import { apiUrl, fetchLovs, fetchPimMetadata } from "./pimApi.js";
 
 const SCALAR_TYPES = new Set([
   "ID",
@@ -13,8 +37,6 @@ const SCALAR_TYPES = new Set([
   "UTCDateTime",
 ]);
 
-const API_BASE = import.meta.env.VITE_API_BASE || "";
-
 function makeKey(operation) {
   return `${operation.kind}:${operation.name}`;
 }
@@ -53,12 +75,8 @@ function parseJsonObject(raw) {
   return parsed;
 }
 
-function apiUrl(path) {
-  return `${API_BASE}${path}`;
-}
-
 function flattenImportResults(data) {
-  const sections = ["types", "attrGroups", "attributes", "items"];
+  const sections = ["types", "attrGroups", "lovs", "attributes", "items", "relations", "assets"];
   return sections.flatMap((section) =>
     Array.isArray(data?.[section]) ? data[section] : [],
   );
@@ -75,10 +93,6 @@ function App() {
   const [kindFilter, setKindFilter] = useState("ALL");
   const [selectedKey, setSelectedKey] = useState("");
 
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [uploadStatus, setUploadStatus] = useState({ text: "", tone: "" });
-  const [uploadLoading, setUploadLoading] = useState(false);
-
   const [argsInput, setArgsInput] = useState("{}");
   const [selectionInput, setSelectionInput] = useState("");
   const [selectionDisabled, setSelectionDisabled] = useState(true);
@@ -87,14 +101,43 @@ function App() {
   const [executeStatus, setExecuteStatus] = useState({ text: "", tone: "" });
   const [resultOutput, setResultOutput] = useState("{}\n");
 
+  const [importFile, setImportFile] = useState(null);
   const [importFileName, setImportFileName] = useState("");
   const [importSummary, setImportSummary] = useState(null);
+  const [importProductSheets, setImportProductSheets] = useState([]);
   const [importErrors, setImportErrors] = useState([]);
   const [importWarnings, setImportWarnings] = useState([]);
   const [importPayload, setImportPayload] = useState(null);
   const [importStatus, setImportStatus] = useState({ text: "", tone: "" });
-  const [importResult, setImportResult] = useState("");
+  const [importResultData, setImportResultData] = useState(null);
+  const [importSources, setImportSources] = useState(null);
   const [importLoading, setImportLoading] = useState(false);
+  const [importCheckReferences, setImportCheckReferences] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+  const importCancelRef = useRef(null);
+  const [importBatchSize, setImportBatchSize] = useState(DEFAULT_ITEM_BATCH_SIZE);
+  const [importPushProgress, setImportPushProgress] = useState(null);
+  const [importCheckpoint, setImportCheckpoint] = useState(null);
+  const [importDiffRows, setImportDiffRows] = useState(null);
+  const [importHeaderSheets, setImportHeaderSheets] = useState([]);
+  const [importColumnMapping, setImportColumnMapping] = useState({});
+  const [importAppliedMapping, setImportAppliedMapping] = useState({});
+  const [importValueRules, setImportValueRules] = useState([]);
+  const [importTransformations, setImportTransformations] = useState([]);
+  const [importAssetFiles, setImportAssetFiles] = useState(() => new Map());
+  const uploadedAssetsRef = useRef(new Map());
+  const [mappingAttributeTargets, setMappingAttributeTargets] = useState([]);
+  const [mappingTargetsError, setMappingTargetsError] = useState("");
+  const [mappingProfiles, setMappingProfiles] = useState(() => listMappingProfiles());
+  const [selectedMappingProfile, setSelectedMappingProfile] = useState("");
+  const [mappingProfileName, setMappingProfileName] = useState("");
+  const [importWorkbookId, setImportWorkbookId] = useState("");
+  const [importUnchangedCount, setImportUnchangedCount] = useState(0);
+  const [importForceFullPush, setImportForceFullPush] = useState(false);
+  const [exportTypes, setExportTypes] = useState("");
+  const [exportParent, setExportParent] = useState("");
+  const [exportLoading, setExportLoading] = useState(false);
+  const [importApproved, setImportApproved] = useState(false);
 
   const allOperations = useMemo(
     () => [...(catalog.queries || []), ...(catalog.mutations || [])],
@@ -261,57 +304,64 @@ function App() {
     }
   };
 
-  const handleUpload = async () => {
-    if (!selectedFile) {
-      setUploadStatus({ text: "Select file", tone: "error" });
-      return;
-    }
+  const runImportValidation = async (file, columnMapping, valueRules, assetFiles) => {
+    setImportStatus({ text: "Parsing and validating file...", tone: "" });
+    setImportResultData(null);
+    setImportDiffRows(null);
+    setImportApproved(false);
 
-    setUploadLoading(true);
-    setUploadStatus({ text: "Uploading file...", tone: "" });
+    setImportProgress({ percent: 0, text: "Reading file..." });
 
-    const formData = new FormData();
-    formData.append("file", selectedFile);
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    importCancelRef.current = cancel;
 
     try {
-      const response = await fetch(apiUrl("/api/upload"), {
-        method: "POST",
-        body: formData,
-      });
-      const result = await response.json();
-
-      if (!response.ok) {
-        throw new Error(result.error || "File upload failed");
+      const buffer = await file.arrayBuffer();
+      if (importCheckReferences) {
+        setImportProgress({ percent: 0, text: "Loading LOVs from PIM..." });
       }
-
-      setUploadStatus({
-        text: `Uploaded: ${result.originalName} (${result.size} bytes)`,
-        tone: "ok",
+      const lovs = importCheckReferences
+        ? await fetchLovs({ signal: controller.signal })
+        : undefined;
+      controller.signal.throwIfAborted();
+      const appliedMapping = pruneColumnMapping(columnMapping);
+      setImportAppliedMapping(appliedMapping);
+      const run = validateWorkbookInWorker(buffer, {
+        format: detectImportFormat(file.name),
+        lovs,
+        columnMapping: appliedMapping,
+        valueRules: pruneValueRules(valueRules),
+        assetFiles: [...assetFiles.values()].map((assetFile) => assetFile.name),
+        onProgress: setImportProgress,
       });
-    } catch (error) {
-      setUploadStatus({ text: error.message, tone: "error" });
-    } finally {
-      setUploadLoading(false);
-    }
-  };
-
-  const handleImportFile = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) {
-      return;
-    }
-
-    setImportFileName(file.name);
-    setImportStatus({ text: "Parsing and validating workbook...", tone: "" });
-    setImportResult("");
-
-    try {
-      const { parseAndValidateImportWorkbook } = await import("./excelImportParser.js");
-      const buffer = await file.arrayBuffer();
-      const validation = parseAndValidateImportWorkbook(buffer);
+      controller.signal.addEventListener("abort", run.cancel, { once: true });
+
+      let validation = await run.promise;
+
+      if (importCheckReferences) {
+        setImportStatus({ text: "Resolving workbook references against PIM...", tone: "" });
+        setImportProgress({ percent: 100, text: "Resolving workbook references against PIM..." });
+        const { validateReferencesAgainstPim } = await import(
+          "./excelImportOnlineValidation.js"
+        );
+        validation = await validateReferencesAgainstPim(validation, {
+          signal: controller.signal,
+        });
+      }
 
       setImportPayload(validation.payload);
+      setImportSources(validation.sources);
+      const workbookId = validation.workbookId || file.name;
+      const plannedPush = await planDeltaPush(validation.payload, workbookId, { assetFiles });
+      setImportWorkbookId(workbookId);
+      setImportUnchangedCount(plannedPush.skippedTotal);
+      setImportCheckpoint(
+        readPushCheckpoint(importForceFullPush ? validation.payload : plannedPush.payload),
+      );
       setImportSummary(validation.summary);
+      setImportProductSheets(validation.productSheets);
+      setImportTransformations(validation.transformations);
       setImportErrors(validation.errors);
       setImportWarnings(validation.warnings);
 
@@ -328,7 +378,19 @@ function App() {
       }
     } catch (error) {
       setImportPayload(null);
+      setImportSources(null);
+      setImportCheckpoint(null);
       setImportSummary(null);
+      setImportProductSheets([]);
+      setImportTransformations([]);
+      setImportWarnings([]);
+
+      if (error.name === "AbortError") {
+        setImportErrors([]);
+        setImportStatus({ text: "Validation cancelled.", tone: "" });
+        return;
+      }
+
       setImportErrors([
         {
           sheet: "Workbook",
@@ -337,17 +399,224 @@ function App() {
           message: error.message,
         },
       ]);
-      setImportWarnings([]);
-      setImportStatus({ text: `Failed to parse workbook: ${error.message}`, tone: "error" });
+      setImportStatus({ text: `Failed to parse file: ${error.message}`, tone: "error" });
+    } finally {
+      if (importCancelRef.current === cancel) {
+        importCancelRef.current = null;
+      }
+      setImportProgress(null);
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    setImportFile(file);
+    setImportFileName(file.name);
+
+    let workbookTargets = [];
+    try {
+      const scan = await scanHeadersInWorker(
+        await file.arrayBuffer(),
+        detectImportFormat(file.name),
+      ).promise;
+      setImportHeaderSheets(scan.sheets);
+      workbookTargets = scan.attributes.map((identifier) => `attr:${identifier}`);
+    } catch {
+      setImportHeaderSheets([]);
+    }
+    setMappingAttributeTargets(workbookTargets);
+    setMappingTargetsError("");
+
+    if (importCheckReferences) {
+      fetchPimMetadata()
+        .then((metadata) =>
+          setMappingAttributeTargets(
+            [
+              ...new Set([
+                ...workbookTargets,
+                ...metadata.attributes.map((attribute) => `attr:${attribute.identifier}`),
+              ]),
+            ].sort(),
+          ),
+        )
+        .catch((error) =>
+          setMappingTargetsError(
+            `PIM attributes could not be loaded as mapping targets: ${error.message}`,
+          ),
+        );
+    }
+
+    await runImportValidation(file, importColumnMapping, importValueRules, importAssetFiles);
+  };
+
+  const handleRevalidateWithMapping = () => {
+    if (importFile) {
+      runImportValidation(importFile, importColumnMapping, importValueRules, importAssetFiles);
+    }
+  };
+
+  const handleAssetFiles = async (event) => {
+    const fileList = [...(event.target.files || [])];
+    let assetFiles;
+
+    try {
+      const { collectAssetFiles } = await import("./assetUpload.js");
+      assetFiles = await collectAssetFiles(fileList);
+    } catch (error) {
+      setImportStatus({ text: `Failed to read asset files: ${error.message}`, tone: "error" });
+      return;
+    }
+
+    setImportAssetFiles(assetFiles);
+    uploadedAssetsRef.current = new Map();
+    if (importFile) {
+      await runImportValidation(importFile, importColumnMapping, importValueRules, assetFiles);
+    }
+  };
+
+  const handleSelectMappingProfile = (name) => {
+    const profile = mappingProfiles.find((entry) => entry.name === name);
+    setSelectedMappingProfile(name);
+    setMappingProfileName(name);
+    setImportColumnMapping(profile?.mapping || {});
+    setImportValueRules(profile?.valueRules || []);
+  };
+
+  const handleSaveMappingProfile = () => {
+    try {
+      const name = mappingProfileName.trim();
+      setMappingProfiles(
+        saveMappingProfile(
+          name,
+          pruneColumnMapping(importColumnMapping),
+          pruneValueRules(importValueRules),
+        ),
+      );
+      setSelectedMappingProfile(name);
+      setImportStatus({ text: `Mapping profile "${name}" saved.`, tone: "ok" });
+    } catch (error) {
+      setImportStatus({ text: `Failed to save mapping profile: ${error.message}`, tone: "error" });
     }
   };
 
+  const handleDeleteMappingProfile = () => {
+    setMappingProfiles(deleteMappingProfile(selectedMappingProfile));
+    setSelectedMappingProfile("");
+  };
+
+  const handleCancelValidation = () => {
+    importCancelRef.current?.();
+  };
+
   const handleDownloadTemplate = async () => {
     const { downloadImportTemplate } = await import("./excelImportTemplate.js");
     downloadImportTemplate();
   };
 
-  const handlePushImport = async () => {
+  const handleDownloadSchemaTemplate = async () => {
+    setImportStatus({ text: "Loading types and attributes from PIM...", tone: "" });
+
+    try {
+      const { downloadSchemaImportTemplate } = await import("./excelImportTemplate.js");
+      const metadata = await fetchPimMetadata();
+      downloadSchemaImportTemplate(metadata);
+      setImportStatus({
+        text: `Template generated: ${metadata.types.length} type sheet(s), ${metadata.attributes.length} attribute(s).`,
+        tone: "ok",
+      });
+    } catch (error) {
+      setImportStatus({ text: `Failed to build template: ${error.message}`, tone: "error" });
+    }
+  };
+
+  const handleDownloadAnnotatedWorkbook = async () => {
+    if (!importFile) {
+      return;
+    }
+
+    try {
+      const { downloadAnnotatedWorkbook } = await import("./excelImportAnnotator.js");
+      const buffer = await importFile.arrayBuffer();
+      downloadAnnotatedWorkbook(
+        buffer,
+        [...importErrors, ...importWarnings],
+        importFile.name,
+        importAppliedMapping,
+      );
+    } catch (error) {
+      setImportStatus({
+        text: `Failed to build annotated workbook: ${error.message}`,
+        tone: "error",
+      });
+    }
+  };
+
+  const handleExport = async () => {
+    setExportLoading(true);
+    setImportStatus({ text: "Exporting PIM data...", tone: "" });
+
+    try {
+      const [{ loadPimExportSnapshot }, { downloadExportWorkbook }] = await Promise.all([
+        import("./pimExport.js"),
+        import("./excelImportTemplate.js"),
+      ]);
+      const snapshot = await loadPimExportSnapshot({
+        typeIdentifiers: exportTypes
+          .split(",")
+          .map((identifier) => identifier.trim().toLowerCase())
+          .filter(Boolean),
+        parentIdentifier: exportParent.trim(),
+      });
+      downloadExportWorkbook(snapshot);
+      setImportStatus({
+        text: `Exported ${snapshot.items.length} item(s), ${snapshot.types.length} type(s), ${snapshot.attributes.length} attribute(s).`,
+        tone: "ok",
+      });
+    } catch (error) {
+      setImportStatus({ text: `Export failed: ${error.message}`, tone: "error" });
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
+  const handleDryRun = async () => {
+    if (!importPayload) {
+      setImportStatus({ text: "Load and validate workbook first", tone: "error" });
+      return;
+    }
+
+    setImportLoading(true);
+    setImportApproved(false);
+    setImportStatus({ text: "Loading current PIM state for dry run...", tone: "" });
+
+    try {
+      const current = await loadCurrentPimState(importPayload);
+      const rows = buildImportDiffRows(importPayload, current, importSources);
+      const counts = summarizeImportDiff(rows);
+      const modeCount = counts.SKIPPED + counts.REJECTED;
+
+      setImportDiffRows(rows);
+      setImportStatus({
+        text: `Dry run: ${counts.NEW} new, ${counts.CHANGED} changed, ${counts.UNCHANGED} unchanged.${
+          modeCount > 0
+            ? ` ${modeCount} row(s) will be skipped or rejected by mode ${importPayload.config.mode}.`
+            : ""
+        }`,
+        tone: modeCount > 0 ? "error" : "ok",
+      });
+    } catch (error) {
+      setImportDiffRows(null);
+      setImportStatus({ text: `Dry run failed: ${error.message}`, tone: "error" });
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const handlePushImport = async (resume = false) => {
     if (!importPayload) {
       setImportStatus({ text: "Load and validate workbook first", tone: "error" });
       return;
@@ -358,53 +627,137 @@ function App() {
       return;
     }
 
+    if (!importApproved) {
+      setImportStatus({ text: "Run a dry run and approve the change set first", tone: "error" });
+      return;
+    }
+
     setImportLoading(true);
     setImportStatus({ text: "Pushing data to PIM via import mutation...", tone: "" });
 
     try {
-      const response = await fetch(apiUrl("/api/import/execute"), {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(importPayload),
+      const plannedPush = await planDeltaPush(importPayload, importWorkbookId, {
+        forceFull: importForceFullPush,
+        assetFiles: importAssetFiles,
       });
+      const skippedNote =
+        plannedPush.skippedTotal > 0
+          ? ` ${plannedPush.skippedTotal} row(s) unchanged since the last push were skipped.`
+          : "";
 
-      const result = await response.json();
-      setImportResult(JSON.stringify(result, null, 2));
-
-      if (!response.ok || result.errors || result.error) {
+      if (plannedPush.sentTotal === 0) {
         setImportStatus({
-          text: result.error || "Import mutation failed",
-          tone: "error",
+          text: `Nothing to push: all ${plannedPush.skippedTotal} row(s) are unchanged since the last push of this workbook.`,
+          tone: "ok",
         });
         return;
       }
 
-      const rows = flattenImportResults(result.data);
+      let pushPayload = plannedPush.payload;
+      if (pushPayload.assets?.length > 0) {
+        const { linkUploadedAssets, uploadAssetFiles } = await import("./assetUpload.js");
+        const fileIds = await uploadAssetFiles(pushPayload.assets, importAssetFiles, {
+          uploaded: uploadedAssetsRef.current,
+          onProgress: ({ index, total, fileName }) => {
+            setImportPushProgress({
+              percent: Math.round((index / total) * 100),
+              text: `Uploading asset ${index + 1} of ${total}: ${fileName}`,
+            });
+          },
+        });
+        pushPayload = linkUploadedAssets(pushPayload, fileIds);
+      }
+
+      const pushed = await pushImportInBatches(pushPayload, {
+        itemBatchSize: importBatchSize,
+        resume,
+        checkpointPayload: plannedPush.payload,
+        onProgress: ({ batchIndex, totalBatches, label, attempt }) => {
+          setImportPushProgress({
+            percent: Math.round((batchIndex / totalBatches) * 100),
+            text: `Batch ${batchIndex + 1} of ${totalBatches}: ${label}${
+              attempt > 1 ? ` (retry ${attempt - 1})` : ""
+            }`,
+          });
+        },
+      });
+
+      setImportCheckpoint(null);
+      setImportDiffRows(null);
+      setImportApproved(false);
+      setImportResultData(pushed.data);
+
+      const baselineNote = await saveDeltaBaseline(
+        importWorkbookId,
+        plannedPush.baseline,
+        plannedPush.payload,
+        pushed.data,
+        importAssetFiles,
+      ).then(
+        () => "",
+        (error) =>
+          ` Warning: the delta baseline could not be saved (${error.message}), so these rows are sent again on the next push.`,
+      );
+
+      const rows = flattenImportResults(pushed.data);
       const rejectedCount = rows.filter((row) => row?.result === "REJECTED").length;
       const warningCount = rows.reduce(
         (total, row) => total + (Array.isArray(row?.warnings) ? row.warnings.length : 0),
         0,
       );
+      const truncatedNote = pushed.resultsTruncated
+        ? " Results of batches sent before the resume are not included, so their rows are sent again on the next push."
+        : "";
 
       if (rejectedCount > 0) {
         setImportStatus({
-          text: `Import completed with ${rejectedCount} rejected row(s). Check response details below.`,
+          text: `Import completed with ${rejectedCount} rejected row(s). Check response details below.${skippedNote}${truncatedNote}${baselineNote}`,
           tone: "error",
         });
         return;
       }
 
       setImportStatus({
-        text: `Import completed successfully. Warnings: ${warningCount}.`,
-        tone: "ok",
+        text: `Import completed successfully in ${pushed.totalBatches} batch(es). Warnings: ${warningCount}.${skippedNote}${truncatedNote}${baselineNote}`,
+        tone: baselineNote ? "error" : "ok",
       });
     } catch (error) {
+      if (error.checkpoint) {
+        setImportCheckpoint(error.checkpoint);
+        setImportResultData(error.checkpoint.data);
+      }
       setImportStatus({ text: error.message, tone: "error" });
     } finally {
       setImportLoading(false);
+      setImportPushProgress(null);
     }
   };
 
+  const handleDiscardCheckpoint = () => {
+    clearPushCheckpoint();
+    setImportCheckpoint(null);
+  };
+
+  const importResultRows = useMemo(
+    () => buildImportResultRows(importResultData, importSources),
+    [importResultData, importSources],
+  );
+
+  const ruleAttributeIdentifiers = useMemo(
+    () =>
+      [
+        ...new Set(
+          [
+            ...mappingAttributeTargets,
+            ...importHeaderSheets.flatMap((sheet) => sheet.headers.map((header) => header.name)),
+          ]
+            .filter((name) => name.startsWith("attr:"))
+            .map((name) => name.slice("attr:".length).split("@")[0]),
+        ),
+      ].sort(),
+    [mappingAttributeTargets, importHeaderSheets],
+  );
+
   const errorPreview = useMemo(
     () => importErrors.slice(0, 120).map(formatValidationIssue).join("\n"),
     [importErrors],
@@ -433,49 +786,312 @@ function App() {
             <button className="secondary" onClick={handleDownloadTemplate}>
               Download Excel Template
             </button>
+            <button className="secondary" onClick={handleDownloadSchemaTemplate}>
+              Download Template for my PIM
+            </button>
+          </div>
+
+          <div className="field">
+            <label htmlFor="exportTypesInput">
+              Export types (comma-separated identifiers, sub-types included; empty = all)
+            </label>
+            <input
+              id="exportTypesInput"
+              type="text"
+              value={exportTypes}
+              placeholder="tct_router_bit, countersink"
+              onChange={(event) => setExportTypes(event.target.value)}
+            />
+          </div>
+
+          <div className="field">
+            <label htmlFor="exportParentInput">Export children of parent item (optional)</label>
+            <input
+              id="exportParentInput"
+              type="text"
+              value={exportParent}
+              placeholder="catalog_root_001"
+              onChange={(event) => setExportParent(event.target.value)}
+            />
+          </div>
+
+          <div className="button-row">
+            <button className="secondary" onClick={handleExport} disabled={exportLoading}>
+              {exportLoading ? "Exporting..." : "Export to Excel"}
+            </button>
           </div>
 
           <p className="import-note">
-            Required product sheets inside template: <code>TCT_Router_Bit</code>,{" "}
-            <code>Insert_Tool</code>, <code>Countersink</code>. Use metadata sheet{" "}
-            <code>Item_Parents</code> to create parent items for child product types.
+            Every sheet with the item columns <code>identifier</code>,{" "}
+            <code>name_&lt;default_language&gt;</code> and <code>type_identifier</code> is
+            imported as a product sheet (other headers can be renamed in the column mapping
+            step); more can be listed in <code>Import_Config</code> key{" "}
+            <code>product_sheets</code>. Use metadata sheet <code>Item_Parents</code> to
+            create parent items for child product types. A zip archive holds one CSV per
+            sheet named after it (<code>Types.csv</code>, <code>Attributes.csv</code>,
+            ...); a JSON document uses the import payload shape (<code>config</code>,{" "}
+            <code>attrGroups</code>, <code>lovs</code>, <code>types</code>,{" "}
+            <code>attributes</code>, <code>items</code>).
           </p>
 
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={importCheckReferences}
+              onChange={(event) => setImportCheckReferences(event.target.checked)}
+            />
+            Check types, groups, attributes, parent items and ENUM values against PIM
+            (unresolved references become errors)
+          </label>
+
           <div className="field">
-            <label htmlFor="importFileInput">Excel file (.xlsx/.xlsm/.xls)</label>
+            <label htmlFor="importFileInput">
+              Excel file (.xlsx/.xlsm/.xls), zip of CSV files or JSON document
+            </label>
             <input
               id="importFileInput"
               type="file"
-              accept=".xlsx,.xlsm,.xls"
+              accept=".xlsx,.xlsm,.xls,.zip,.json"
               onChange={handleImportFile}
+              disabled={Boolean(importProgress)}
+            />
+          </div>
+
+          <div className="field">
+            <label htmlFor="importAssetFilesInput">
+              Asset files referenced by the Item_Assets sheet (images, PDFs or a zip of them)
+            </label>
+            <input
+              id="importAssetFilesInput"
+              type="file"
+              multiple
+              accept="image/*,.pdf,.zip"
+              onChange={handleAssetFiles}
+              disabled={Boolean(importProgress) || importLoading}
             />
           </div>
 
+          {importHeaderSheets.length > 0 && (
+            <details
+              className="mapping-step"
+              open={importHeaderSheets.some((sheet) =>
+                sheet.headers.some((header) => !header.known),
+              )}
+            >
+              <summary>Column mapping and value rules</summary>
+
+              <div className="field">
+                <label htmlFor="mappingProfileSelect">Mapping profile</label>
+                <select
+                  id="mappingProfileSelect"
+                  value={selectedMappingProfile}
+                  onChange={(event) => handleSelectMappingProfile(event.target.value)}
+                >
+                  <option value="">No profile</option>
+                  {mappingProfiles.map((profile) => (
+                    <option key={profile.name} value={profile.name}>
+                      {profile.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <ColumnMappingPanel
+                sheets={importHeaderSheets}
+                mapping={importColumnMapping}
+                attributeTargets={mappingAttributeTargets}
+                onChange={setImportColumnMapping}
+                disabled={Boolean(importProgress)}
+              />
+              {mappingTargetsError && <div className="status error">{mappingTargetsError}</div>}
+
+              <ValueRulesEditor
+                rules={importValueRules}
+                attributeIdentifiers={ruleAttributeIdentifiers}
+                onChange={setImportValueRules}
+                disabled={Boolean(importProgress)}
+              />
+
+              <div className="field">
+                <label htmlFor="mappingProfileName">Profile name</label>
+                <input
+                  id="mappingProfileName"
+                  type="text"
+                  value={mappingProfileName}
+                  placeholder="Supplier name"
+                  onChange={(event) => setMappingProfileName(event.target.value)}
+                />
+              </div>
+
+              <div className="button-row">
+                <button
+                  onClick={handleRevalidateWithMapping}
+                  disabled={!importFile || Boolean(importProgress)}
+                >
+                  Validate with mapping and rules
+                </button>
+                <button
+                  className="secondary"
+                  onClick={handleSaveMappingProfile}
+                  disabled={!mappingProfileName.trim()}
+                >
+                  Save mapping profile
+                </button>
+                <button
+                  className="secondary"
+                  onClick={handleDeleteMappingProfile}
+                  disabled={!selectedMappingProfile}
+                >
+                  Delete profile
+                </button>
+              </div>
+            </details>
+          )}
+
+          {importProgress && (
+            <div className="field">
+              <label>{importProgress.text}</label>
+              <div className="progress-row">
+                <progress className="progress" max="100" value={importProgress.percent} />
+                <button className="secondary" onClick={handleCancelValidation}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
           {importFileName && importSummary && (
             <div className="meta">
               {[
                 `File: ${importFileName}`,
+                `Product Sheets: ${importProductSheets.join(", ") || "none"}`,
                 `Attribute Groups: ${importSummary.attrGroups}`,
+                `LOVs: ${importSummary.lovs}`,
                 `Attributes: ${importSummary.attributes}`,
                 `Types: ${importSummary.types}`,
                 `Items: ${importSummary.items}`,
+                `Item Relations: ${importSummary.relations}`,
+                `Item Assets: ${importSummary.assets} (${importAssetFiles.size} file(s) selected)`,
+                `Transformed Values: ${importSummary.transformedValues}`,
+                `Workbook ID: ${importWorkbookId}`,
+                `Unchanged Since Last Push: ${importUnchangedCount}`,
                 `Validation Errors: ${importSummary.errors}`,
                 `Validation Warnings: ${importSummary.warnings}`,
               ].join("\n")}
             </div>
           )}
 
+          {importSummary?.transformedValues > 0 && (
+            <ValueTransformPreview
+              transformations={importTransformations}
+              total={importSummary.transformedValues}
+            />
+          )}
+
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={importForceFullPush}
+              onChange={(event) => setImportForceFullPush(event.target.checked)}
+              disabled={importLoading}
+            />
+            Force full push (also send rows unchanged since the last push of this workbook)
+          </label>
+
+          <div className="field">
+            <label htmlFor="importBatchSize">Items per batch</label>
+            <input
+              id="importBatchSize"
+              type="number"
+              min="1"
+              value={importBatchSize}
+              disabled={importLoading}
+              onChange={(event) =>
+                setImportBatchSize(Math.max(1, Number.parseInt(event.target.value, 10) || 1))
+              }
+            />
+          </div>
+
+          {importCheckpoint && !importLoading && (
+            <div className="import-note">
+              A previous push of this workbook stopped after batch{" "}
+              {importCheckpoint.completedBatches} of {importCheckpoint.totalBatches} (
+              {importCheckpoint.itemBatchSize} items per batch).
+            </div>
+          )}
+
+          {importDiffRows && (
+            <div className="field">
+              <label>Dry Run: changes against current PIM state</label>
+              <ImportResultTable rows={importDiffRows} />
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={importApproved}
+                  onChange={(event) => setImportApproved(event.target.checked)}
+                  disabled={importLoading}
+                />
+                I reviewed this change set and approve pushing it to PIM
+              </label>
+            </div>
+          )}
+
           <div className="button-row">
             <button
-              onClick={handlePushImport}
+              className="secondary"
+              onClick={handleDryRun}
               disabled={!importPayload || importErrors.length > 0 || importLoading}
+            >
+              Dry Run
+            </button>
+            <button
+              onClick={() => handlePushImport(false)}
+              disabled={
+                !importPayload || importErrors.length > 0 || !importApproved || importLoading
+              }
             >
               {importLoading ? "Importing..." : "Push Validated Data to PIM"}
             </button>
+            {importCheckpoint && (
+              <>
+                <button
+                  onClick={() => handlePushImport(true)}
+                  disabled={importErrors.length > 0 || !importApproved || importLoading}
+                >
+                  Resume from batch {importCheckpoint.completedBatches + 1}
+                </button>
+                <button
+                  className="secondary"
+                  onClick={handleDiscardCheckpoint}
+                  disabled={importLoading}
+                >
+                  Discard saved progress
+                </button>
+              </>
+            )}
           </div>
 
+          {importPushProgress && (
+            <div className="field">
+              <label>{importPushProgress.text}</label>
+              <progress className="progress" max="100" value={importPushProgress.percent} />
+            </div>
+          )}
+
           <div className={`status ${importStatus.tone}`.trim()}>{importStatus.text}</div>
 
+          {importFile &&
+            detectImportFormat(importFile.name) === IMPORT_FORMATS.EXCEL &&
+            importSummary &&
+            importErrors.length + importWarnings.length > 0 &&
+            !importLoading && (
+              <div className="button-row">
+                <button className="secondary" onClick={handleDownloadAnnotatedWorkbook}>
+                  Download workbook with errors
+                </button>
+              </div>
+            )}
+
           {importErrors.length > 0 && (
             <div className="field">
               <label>Validation Errors</label>
@@ -500,33 +1116,19 @@ function App() {
             </div>
           )}
 
-          {importResult && (
+          {importResultData && (
             <div className="field">
-              <label>Import Mutation Response</label>
-              <pre>{importResult}</pre>
+              <label>Import Results</label>
+              <ImportResultTable rows={importResultRows} />
+              <details className="raw-response">
+                <summary>Raw import mutation response</summary>
+                <pre>{JSON.stringify({ data: importResultData }, null, 2)}</pre>
+              </details>
             </div>
           )}
         </section>
 
-        <section className="panel">
-          <h2>Upload</h2>
-          <div className="field">
-            <label htmlFor="fileInput">File</label>
-            <input
-              id="fileInput"
-              type="file"
-              onChange={(event) => setSelectedFile(event.target.files?.[0] || null)}
-            />
-          </div>
-          <div className="button-row">
-            <button onClick={handleUpload} disabled={uploadLoading}>
-              {uploadLoading ? "Uploading..." : "Upload"}
-            </button>
-          </div>
-          <div className={`status ${uploadStatus.tone}`.trim()}>
-            {uploadStatus.text}
-          </div>
-        </section>
+        <UploadPanel />
 
         <section className="panel">
           <h2>GraphQL Explorer</h2>
@@ -0,0 +1,131 @@
+function TargetSelect({ targets, value, emptyLabel, disabled, onChange }) {
+  const options = value && !targets.includes(value) ? [value, ...targets] : targets;
+  return (
+    <select value={value} disabled={disabled} onChange={(event) => onChange(event.target.value)}>
+      <option value="">{emptyLabel}</option>
+      {options.map((target) => (
+        <option key={target} value={target}>
+          {target}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function ColumnMappingPanel({ sheets, mapping, attributeTargets, onChange, disabled }) {
+  const updateSheet = (sheetName, update) => {
+    const current = mapping[sheetName] || { columns: {}, constants: [] };
+    onChange({ ...mapping, [sheetName]: { ...current, ...update(current) } });
+  };
+
+  const setColumnTarget = (sheetName, header, target) => {
+    updateSheet(sheetName, (current) => ({
+      columns: { ...current.columns, [header]: target },
+    }));
+  };
+
+  const setConstant = (sheetName, index, field, value) => {
+    updateSheet(sheetName, (current) => ({
+      constants: current.constants.map((constant, position) =>
+        position === index ? { ...constant, [field]: value } : constant,
+      ),
+    }));
+  };
+
+  const addConstant = (sheetName) => {
+    updateSheet(sheetName, (current) => ({
+      constants: [...current.constants, { target: "", value: "" }],
+    }));
+  };
+
+  const removeConstant = (sheetName, index) => {
+    updateSheet(sheetName, (current) => ({
+      constants: current.constants.filter((_, position) => position !== index),
+    }));
+  };
+
+  return (
+    <div className="mapping-panel">
+      {sheets.map(({ sheet, headers, targets, productSheet }) => {
+        const sheetMapping = mapping[sheet] || { columns: {}, constants: [] };
+        const sheetTargets = [...targets, ...(productSheet ? attributeTargets : [])];
+        const unknownCount = headers.filter((header) => !header.known).length;
+        const editableHeaders = headers.filter(
+          (header) => !header.known || sheetMapping.columns[header.name],
+        );
+
+        return (
+          <details key={sheet} className="mapping-sheet" open={unknownCount > 0}>
+            <summary>
+              {sheet}:{" "}
+              {unknownCount > 0
+                ? `${unknownCount} column(s) not in the template`
+                : `all ${headers.length} column(s) match the template`}
+            </summary>
+
+            {editableHeaders.length > 0 && (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Column in file</th>
+                    <th>Template field or attr:&lt;attribute&gt;</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {editableHeaders.map((header) => (
+                    <tr key={header.name}>
+                      <td>{header.name}</td>
+                      <td>
+                        <TargetSelect
+                          targets={sheetTargets}
+                          value={sheetMapping.columns[header.name] || ""}
+                          emptyLabel="(not imported)"
+                          disabled={disabled}
+                          onChange={(target) => setColumnTarget(sheet, header.name, target)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {sheetMapping.constants.map((constant, index) => (
+              <div key={index} className="mapping-constant">
+                <TargetSelect
+                  targets={sheetTargets}
+                  value={constant.target}
+                  emptyLabel="(choose field)"
+                  disabled={disabled}
+                  onChange={(target) => setConstant(sheet, index, "target", target)}
+                />
+                <input
+                  type="text"
+                  placeholder="Value for every row"
+                  value={constant.value}
+                  disabled={disabled}
+                  onChange={(event) => setConstant(sheet, index, "value", event.target.value)}
+                />
+                <button
+                  className="secondary"
+                  onClick={() => removeConstant(sheet, index)}
+                  disabled={disabled}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+
+            <div className="button-row">
+              <button className="secondary" onClick={() => addConstant(sheet)} disabled={disabled}>
+                Add constant value
+              </button>
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ColumnMappingPanel;
@@ -0,0 +1,131 @@
+import { useMemo, useState } from "react";
+
+const MAX_VISIBLE_ROWS = 500;
+
+const COLUMNS = [
+  { key: "section", label: "Section" },
+  { key: "sheet", label: "Sheet" },
+  { key: "row", label: "Row" },
+  { key: "identifier", label: "Identifier" },
+  { key: "status", label: "Status" },
+  { key: "messages", label: "Messages" },
+];
+
+function sortValue(row, key) {
+  if (key === "messages") {
+    return row.messages.join(" ");
+  }
+  return row[key];
+}
+
+function compareValues(left, right) {
+  if (left === right) return 0;
+  if (left === null || left === undefined || left === "") return 1;
+  if (right === null || right === undefined || right === "") return -1;
+  if (typeof left === "number" && typeof right === "number") return left - right;
+  return String(left).localeCompare(String(right));
+}
+
+function ImportResultTable({ rows }) {
+  const [sort, setSort] = useState({ key: "sheet", direction: 1 });
+  const [statusFilter, setStatusFilter] = useState("ALL");
+  const [textFilter, setTextFilter] = useState("");
+
+  const statuses = useMemo(
+    () => [...new Set(rows.map((row) => row.status).filter(Boolean))].sort(),
+    [rows],
+  );
+
+  const visibleRows = useMemo(() => {
+    const needle = textFilter.trim().toLowerCase();
+
+    const filtered = rows.filter((row) => {
+      if (statusFilter !== "ALL" && row.status !== statusFilter) {
+        return false;
+      }
+      if (!needle) {
+        return true;
+      }
+      return [row.identifier, row.sheet, row.section, ...row.messages].some((value) =>
+        value.toLowerCase().includes(needle),
+      );
+    });
+
+    return filtered.sort(
+      (left, right) =>
+        sort.direction * compareValues(sortValue(left, sort.key), sortValue(right, sort.key)) ||
+        compareValues(left.sheet, right.sheet) ||
+        compareValues(left.row, right.row),
+    );
+  }, [rows, statusFilter, textFilter, sort]);
+
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key ? -current.direction : 1,
+    }));
+  };
+
+  return (
+    <div className="result-table">
+      <div className="result-filters">
+        <select value={statusFilter} onChange={(event) => setStatusFilter(event.target.value)}>
+          <option value="ALL">All statuses ({rows.length})</option>
+          {statuses.map((status) => (
+            <option key={status} value={status}>
+              {status} ({rows.filter((row) => row.status === status).length})
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          placeholder="Filter by identifier, sheet or message"
+          value={textFilter}
+          onChange={(event) => setTextFilter(event.target.value)}
+        />
+      </div>
+
+      <div className="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th key={column.key} onClick={() => handleSort(column.key)}>
+                  {column.label}
+                  {sort.key === column.key ? (sort.direction > 0 ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.slice(0, MAX_VISIBLE_ROWS).map((row) => (
+              <tr key={row.key}>
+                <td>{row.section}</td>
+                <td>{row.sheet}</td>
+                <td>{row.row ?? ""}</td>
+                <td>{row.identifier}</td>
+                <td>
+                  <span className={`result-status ${row.status.toLowerCase()}`}>{row.status}</span>
+                </td>
+                <td>
+                  {row.messages.map((message, index) => (
+                    <div key={index}>{message}</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {visibleRows.length > MAX_VISIBLE_ROWS && (
+        <div className="import-note">
+          Showing first {MAX_VISIBLE_ROWS} rows out of {visibleRows.length}. Use the filters to
+          narrow the list.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportResultTable;
@@ -0,0 +1,283 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_UPLOAD_LIMITS,
+  checkUploadFile,
+  fetchUploadLimits,
+  uploadFile,
+} from "./uploadClient.js";
+
+const ACTIVE_STATUSES = new Set(["queued", "uploading"]);
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} B`;
+}
+
+function formatServerMetadata(result) {
+  return Object.entries(result || {})
+    .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join("\n");
+}
+
+function UploadPanel() {
+  const [uploads, setUploads] = useState([]);
+  const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [limits, setLimits] = useState(DEFAULT_UPLOAD_LIMITS);
+  const [dragActive, setDragActive] = useState(false);
+  const [uploadStatus, setUploadStatus] = useState({ text: "", tone: "" });
+  const [uploadLoading, setUploadLoading] = useState(false);
+  const nextIdRef = useRef(1);
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    fetchUploadLimits().then((serverLimits) =>
+      setLimits((current) => (current === DEFAULT_UPLOAD_LIMITS ? serverLimits : current)),
+    );
+  }, []);
+
+  const updateUpload = (id, changes) => {
+    setUploads((current) =>
+      current.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)),
+    );
+  };
+
+  const addFiles = (fileList) => {
+    const added = [...fileList].map((file) => {
+      const check = checkUploadFile(file, limits);
+      return {
+        id: nextIdRef.current++,
+        file,
+        status: check.ok ? "queued" : "rejected",
+        loaded: 0,
+        error: check.ok ? "" : check.error,
+      };
+    });
+
+    const rejectedCount = added.filter((upload) => upload.status === "rejected").length;
+    setUploads((current) => [...current, ...added]);
+    setUploadStatus(
+      rejectedCount > 0
+        ? { text: `${rejectedCount} file(s) rejected by the size or type limits`, tone: "error" }
+        : { text: "", tone: "" },
+    );
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    addFiles(event.dataTransfer.files);
+  };
+
+  const handleUpload = async () => {
+    const queued = uploads.filter((upload) => upload.status === "queued");
+    if (queued.length === 0) {
+      setUploadStatus({ text: "Select file", tone: "error" });
+      return;
+    }
+
+    queued.forEach((upload) => controllersRef.current.set(upload.id, new AbortController()));
+    setUploadLoading(true);
+
+    let uploadedCount = 0;
+    let failedCount = 0;
+
+    for (const [index, upload] of queued.entries()) {
+      const controller = controllersRef.current.get(upload.id);
+      if (controller.signal.aborted) {
+        continue;
+      }
+
+      setUploadStatus({
+        text: `Uploading file ${index + 1} of ${queued.length}: ${upload.file.name}`,
+        tone: "",
+      });
+      updateUpload(upload.id, { status: "uploading" });
+
+      try {
+        const result = await uploadFile(upload.file, upload.file.name, {
+          signal: controller.signal,
+          onProgress: ({ loaded, resumedFrom }) =>
+            updateUpload(upload.id, resumedFrom > 0 ? { loaded, resumedFrom } : { loaded }),
+        });
+        updateUpload(upload.id, { status: "uploaded", loaded: upload.file.size });
+        setUploadedFiles((current) => [
+          ...current,
+          {
+            id: upload.id,
+            name: upload.file.name,
+            size: upload.file.size,
+            uploadedAt: new Date().toLocaleTimeString(),
+            result,
+          },
+        ]);
+        uploadedCount += 1;
+      } catch (error) {
+        if (error.name === "AbortError") {
+          updateUpload(upload.id, { status: "cancelled" });
+        } else {
+          updateUpload(upload.id, { status: "failed", error: error.message });
+          failedCount += 1;
+        }
+      } finally {
+        controllersRef.current.delete(upload.id);
+      }
+    }
+
+    controllersRef.current.clear();
+    setUploadLoading(false);
+    setUploadStatus({
+      text: `Uploaded ${uploadedCount} file(s)${failedCount > 0 ? `, ${failedCount} failed` : ""}.`,
+      tone: failedCount > 0 ? "error" : "ok",
+    });
+  };
+
+  const handleCancel = (id) => {
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controller.abort();
+    }
+    updateUpload(id, { status: "cancelled" });
+  };
+
+  const handleCancelAll = () => {
+    controllersRef.current.forEach((controller) => controller.abort());
+    setUploads((current) =>
+      current.map((upload) =>
+        ACTIVE_STATUSES.has(upload.status) ? { ...upload, status: "cancelled" } : upload,
+      ),
+    );
+  };
+
+  const handleClearFinished = () => {
+    setUploads((current) => current.filter((upload) => ACTIVE_STATUSES.has(upload.status)));
+  };
+
+  return (
+    <section className="panel">
+      <h2>Upload</h2>
+
+      <div className="upload-limits">
+        <div className="field">
+          <label htmlFor="uploadMaxSize">Max file size (MB, 0 = no limit)</label>
+          <input
+            id="uploadMaxSize"
+            type="number"
+            min="0"
+            value={limits.maxSizeMb}
+            onChange={(event) => setLimits({ ...limits, maxSizeMb: event.target.value })}
+          />
+        </div>
+        <div className="field">
+          <label htmlFor="uploadAllowedTypes">Allowed MIME types (comma separated)</label>
+          <input
+            id="uploadAllowedTypes"
+            type="text"
+            value={limits.allowedTypes}
+            onChange={(event) => setLimits({ ...limits, allowedTypes: event.target.value })}
+          />
+        </div>
+      </div>
+
+      <div
+        className={`drop-zone${dragActive ? " active" : ""}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragActive(true);
+        }}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+      >
+        <label htmlFor="fileInput">Drop files here or choose them</label>
+        <input
+          id="fileInput"
+          type="file"
+          multiple
+          onChange={(event) => {
+            addFiles(event.target.files || []);
+            event.target.value = "";
+          }}
+        />
+      </div>
+
+      {uploads.length > 0 && (
+        <div className="upload-list">
+          {uploads.map((upload) => (
+            <div key={upload.id} className="upload-entry">
+              <div className="upload-entry-name">
+                {upload.file.name} ({formatBytes(upload.file.size)})
+                <span className={`upload-state ${upload.status}`}>{upload.status}</span>
+              </div>
+              {upload.status === "uploading" && (
+                <div className="progress-row">
+                  <progress className="progress" max={upload.file.size} value={upload.loaded} />
+                  <span>
+                    {formatBytes(upload.loaded)} / {formatBytes(upload.file.size)}
+                    {upload.resumedFrom ? ` (resumed at ${formatBytes(upload.resumedFrom)})` : ""}
+                  </span>
+                </div>
+              )}
+              {upload.error && <div className="status error">{upload.error}</div>}
+              {ACTIVE_STATUSES.has(upload.status) && (
+                <button className="secondary" onClick={() => handleCancel(upload.id)}>
+                  Cancel
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="button-row">
+        <button onClick={handleUpload} disabled={uploadLoading}>
+          {uploadLoading ? "Uploading..." : "Upload"}
+        </button>
+        {uploadLoading && (
+          <button className="secondary" onClick={handleCancelAll}>
+            Cancel all
+          </button>
+        )}
+        <button className="secondary" onClick={handleClearFinished} disabled={uploadLoading}>
+          Clear finished
+        </button>
+      </div>
+      <div className={`status ${uploadStatus.tone}`.trim()}>{uploadStatus.text}</div>
+
+      {uploadedFiles.length > 0 && (
+        <div className="field">
+          <label>Uploaded this session ({uploadedFiles.length})</label>
+          <div className="result-table">
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>File</th>
+                    <th>Size</th>
+                    <th>Time</th>
+                    <th>Server response</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {uploadedFiles.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>{entry.name}</td>
+                      <td>{formatBytes(entry.size)}</td>
+                      <td>{entry.uploadedAt}</td>
+                      <td className="upload-metadata">{formatServerMetadata(entry.result)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default UploadPanel;
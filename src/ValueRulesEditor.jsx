@@ -0,0 +1,91 @@
+import { VALUE_RULE_KINDS } from "./valueTransforms.js";
+
+const RULE_HINTS = {
+  convert: ["From unit", "To unit"],
+  multiply: ["Factor", ""],
+  replace: ["Regular expression", "Replacement"],
+  lookup: ["Value in file", "Imported value"],
+  default: ["", "Value for blank cells"],
+  extract_number: ["", ""],
+};
+
+function ValueRulesEditor({ rules, attributeIdentifiers, onChange, disabled }) {
+  const setRule = (index, field, value) => {
+    onChange(
+      rules.map((rule, position) => (position === index ? { ...rule, [field]: value } : rule)),
+    );
+  };
+
+  const addRule = () => {
+    onChange([...rules, { attribute: "", rule: "lookup", from: "", to: "" }]);
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, position) => position !== index));
+  };
+
+  return (
+    <div className="field">
+      <label>Value rules (applied before validation, in this order per attribute)</label>
+
+      <datalist id="valueRuleAttributes">
+        {attributeIdentifiers.map((identifier) => (
+          <option key={identifier} value={identifier} />
+        ))}
+      </datalist>
+
+      {rules.map((rule, index) => {
+        const [fromHint, toHint] = RULE_HINTS[rule.rule] || ["", ""];
+
+        return (
+          <div key={index} className="value-rule">
+            <input
+              type="text"
+              list="valueRuleAttributes"
+              placeholder="Attribute"
+              value={rule.attribute}
+              disabled={disabled}
+              onChange={(event) => setRule(index, "attribute", event.target.value)}
+            />
+            <select
+              value={rule.rule}
+              disabled={disabled}
+              onChange={(event) => setRule(index, "rule", event.target.value)}
+            >
+              {VALUE_RULE_KINDS.map((kind) => (
+                <option key={kind} value={kind}>
+                  {kind}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder={fromHint}
+              value={rule.from}
+              disabled={disabled || !fromHint}
+              onChange={(event) => setRule(index, "from", event.target.value)}
+            />
+            <input
+              type="text"
+              placeholder={toHint}
+              value={rule.to}
+              disabled={disabled || !toHint}
+              onChange={(event) => setRule(index, "to", event.target.value)}
+            />
+            <button className="secondary" onClick={() => removeRule(index)} disabled={disabled}>
+              Remove
+            </button>
+          </div>
+        );
+      })}
+
+      <div className="button-row">
+        <button className="secondary" onClick={addRule} disabled={disabled}>
+          Add value rule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ValueRulesEditor;
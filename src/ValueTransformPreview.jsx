@@ -0,0 +1,45 @@
+function formatPreviewValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "(empty)";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function ValueTransformPreview({ transformations, total }) {
+  return (
+    <div className="field">
+      <label>
+        Value rules changed {total} value(s)
+        {total > transformations.length ? `, showing the first ${transformations.length}` : ""}
+      </label>
+      <div className="result-table">
+        <div className="table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>Sheet</th>
+                <th>Row</th>
+                <th>Field</th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transformations.map((entry, index) => (
+                <tr key={index}>
+                  <td>{entry.sheet}</td>
+                  <td>{entry.row ?? ""}</td>
+                  <td>{entry.field}</td>
+                  <td>{formatPreviewValue(entry.before)}</td>
+                  <td>{formatPreviewValue(entry.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ValueTransformPreview;
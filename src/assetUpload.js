@@ -0,0 +1,116 @@
+import * as XLSX from "xlsx";
+import { uploadFile } from "./uploadClient.js";
+
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+  pdf: "application/pdf",
+};
+
+const ARCHIVE_PLACEHOLDER_ENTRY = "\u0001Sh33tJ5";
+
+function guessMimeType(fileName) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return MIME_TYPES[extension] || "application/octet-stream";
+}
+
+function toHex(bytes) {
+  return [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+async function digestBlob(blob) {
+  const buffer = await blob.arrayBuffer();
+  if (globalThis.crypto?.subtle) {
+    return `sha256:${toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", buffer)))}`;
+  }
+
+  let hash = 0x811c9dc5;
+  for (const byte of new Uint8Array(buffer)) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  return `fnv1a:${(hash >>> 0).toString(16).padStart(8, "0")}:${blob.size}`;
+}
+
+function readArchiveFiles(arrayBuffer) {
+  const archive = XLSX.CFB.read(new Uint8Array(arrayBuffer), { type: "array" });
+  const files = [];
+
+  archive.FileIndex.forEach((entry, index) => {
+    const path = archive.FullPaths[index];
+    if (
+      entry.type !== 2 ||
+      entry.name === ARCHIVE_PLACEHOLDER_ENTRY ||
+      entry.name.startsWith(".") ||
+      path.includes("__MACOSX/")
+    ) {
+      return;
+    }
+    files.push({
+      name: entry.name,
+      blob: new Blob([entry.content], { type: guessMimeType(entry.name) }),
+    });
+  });
+
+  return files;
+}
+
+export async function collectAssetFiles(fileList) {
+  const files = new Map();
+
+  for (const file of fileList) {
+    const entries = file.name.toLowerCase().endsWith(".zip")
+      ? readArchiveFiles(await file.arrayBuffer())
+      : [{ name: file.name, blob: file }];
+
+    for (const entry of entries) {
+      const key = entry.name.toLowerCase();
+      if (files.has(key)) {
+        throw new Error(`More than one asset file is named ${entry.name}`);
+      }
+      files.set(key, { ...entry, digest: await digestBlob(entry.blob) });
+    }
+  }
+
+  return files;
+}
+
+export async function uploadAssetFiles(assets, files, { uploaded = new Map(), onProgress } = {}) {
+  const fileNames = [...new Set(assets.map((asset) => asset.fileName))];
+  const fileIds = new Map();
+
+  for (const [index, fileName] of fileNames.entries()) {
+    const file = files.get(fileName.toLowerCase());
+    if (!file) {
+      throw new Error(`Asset file ${fileName} is no longer selected`);
+    }
+
+    if (!uploaded.has(file.digest)) {
+      onProgress?.({ index, total: fileNames.length, fileName });
+      const result = await uploadFile(file.blob, file.name);
+      const fileId = result.id ?? result.identifier;
+      if (fileId === undefined || fileId === null) {
+        throw new Error(`Upload of ${fileName} did not return a file id`);
+      }
+      uploaded.set(file.digest, fileId);
+    }
+    fileIds.set(fileName, uploaded.get(file.digest));
+  }
+
+  return fileIds;
+}
+
+export function linkUploadedAssets(payload, fileIds) {
+  return {
+    ...payload,
+    assets: (payload.assets || []).map((asset) => ({
+      ...asset,
+      fileId: fileIds.get(asset.fileName),
+    })),
+  };
+}
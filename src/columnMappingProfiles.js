@@ -0,0 +1,67 @@
+const PROFILES_STORAGE_KEY = "pim-import-column-profiles";
+
+function readProfiles() {
+  try {
+    const raw = localStorage.getItem(PROFILES_STORAGE_KEY);
+    const profiles = raw ? JSON.parse(raw) : {};
+    return profiles && typeof profiles === "object" ? profiles : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeProfiles(profiles) {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+export function listMappingProfiles() {
+  return Object.entries(readProfiles())
+    .map(([name, profile]) => ({ name, ...profile }))
+    .sort((left, right) => left.name.localeCompare(right.name));
+}
+
+export function saveMappingProfile(name, mapping, valueRules = []) {
+  const profileName = String(name || "").trim();
+  if (!profileName) {
+    throw new Error("Profile name is required");
+  }
+
+  const profiles = readProfiles();
+  profiles[profileName] = { mapping, valueRules, updatedAt: new Date().toISOString() };
+  writeProfiles(profiles);
+  return listMappingProfiles();
+}
+
+export function deleteMappingProfile(name) {
+  const profiles = readProfiles();
+  delete profiles[name];
+  writeProfiles(profiles);
+  return listMappingProfiles();
+}
+
+export function pruneColumnMapping(mapping) {
+  const pruned = {};
+  Object.entries(mapping || {}).forEach(([sheetName, { columns = {}, constants = [] } = {}]) => {
+    const keptColumns = Object.fromEntries(
+      Object.entries(columns).filter(([, target]) => String(target || "").trim()),
+    );
+    const keptConstants = constants.filter(
+      ({ target, value }) => String(target || "").trim() && String(value ?? "").trim(),
+    );
+    if (Object.keys(keptColumns).length > 0 || keptConstants.length > 0) {
+      pruned[sheetName] = { columns: keptColumns, constants: keptConstants };
+    }
+  });
+  return pruned;
+}
+
+export function pruneValueRules(rules) {
+  return (rules || [])
+    .filter(({ attribute, rule }) => String(attribute || "").trim() && rule)
+    .map(({ attribute, rule, from = "", to = "" }) => ({
+      attribute: String(attribute).trim(),
+      rule,
+      from,
+      to,
+    }));
+}
@@ -0,0 +1,179 @@
+import * as XLSX from "xlsx";
+import { ISSUES_HEADER } from "./excelImportTemplate.js";
+
+const COMMENT_AUTHOR = "PIM Import";
+
+function describeIssue(issue) {
+  const severity = issue.severity === "error" ? "Error" : "Warning";
+  const fieldPart = issue.field ? ` [${issue.field}]` : "";
+  return `${severity}:${fieldPart} ${issue.message}`;
+}
+
+function readHeaderRow(sheet, range) {
+  const headers = [];
+  for (let column = range.s.c; column <= range.e.c; column += 1) {
+    const cell = sheet[XLSX.utils.encode_cell({ r: range.s.r, c: column })];
+    headers.push({
+      column,
+      name: cell ? String(cell.v ?? "").trim() : "",
+    });
+  }
+  return headers;
+}
+
+function findFieldColumn(headers, field) {
+  if (!field) {
+    return null;
+  }
+
+  const candidates = [field, field.split(".")[0]];
+  for (const candidate of candidates) {
+    const match = headers.find((header) => header.name === candidate);
+    if (match) {
+      return match.column;
+    }
+  }
+
+  const localized = headers.find((header) => header.name.startsWith(`${field}@`));
+  return localized ? localized.column : null;
+}
+
+function removeOwnComments(sheet) {
+  Object.keys(sheet).forEach((address) => {
+    const cell = sheet[address];
+    if (address.startsWith("!") || !Array.isArray(cell?.c)) {
+      return;
+    }
+
+    cell.c = cell.c.filter((comment) => comment.a !== COMMENT_AUTHOR);
+    if (cell.c.length === 0) {
+      delete cell.c;
+    }
+  });
+}
+
+function addComment(sheet, address, lines) {
+  if (!sheet[address]) {
+    sheet[address] = { t: "s", v: "" };
+  }
+
+  const cell = sheet[address];
+  if (!Array.isArray(cell.c)) {
+    cell.c = [];
+  }
+  cell.c.push({ a: COMMENT_AUTHOR, t: lines.join("\n") });
+}
+
+function groupBy(values, getKey) {
+  const groups = new Map();
+  values.forEach((value) => {
+    const key = getKey(value);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(value);
+  });
+  return groups;
+}
+
+function annotateSheet(sheet, sheetIssues, columns = {}) {
+  const range = XLSX.utils.decode_range(sheet["!ref"] || "A1");
+  const headers = readHeaderRow(sheet, range).map((header) => ({
+    ...header,
+    name: columns[header.name] || header.name,
+  }));
+  removeOwnComments(sheet);
+
+  const existingIssuesColumn = headers.find((header) => header.name === ISSUES_HEADER);
+  if (!existingIssuesColumn && sheetIssues.length === 0) {
+    return;
+  }
+
+  const issuesColumn = existingIssuesColumn ? existingIssuesColumn.column : range.e.c + 1;
+
+  for (let row = range.s.r + 1; row <= range.e.r; row += 1) {
+    delete sheet[XLSX.utils.encode_cell({ r: row, c: issuesColumn })];
+  }
+
+  const issuesHeaderAddress = XLSX.utils.encode_cell({ r: range.s.r, c: issuesColumn });
+  sheet[issuesHeaderAddress] = { t: "s", v: ISSUES_HEADER };
+
+  const isRowIssue = (issue) => issue.row && issue.row - 1 > range.s.r;
+  const sheetLevelIssues = sheetIssues.filter((issue) => !isRowIssue(issue));
+  if (sheetLevelIssues.length > 0) {
+    addComment(sheet, issuesHeaderAddress, sheetLevelIssues.map(describeIssue));
+  }
+
+  let lastRow = range.e.r;
+  const byRow = groupBy(
+    sheetIssues.filter(isRowIssue),
+    (issue) => issue.row,
+  );
+
+  byRow.forEach((rowIssues, rowNumber) => {
+    const row = rowNumber - 1;
+    lastRow = Math.max(lastRow, row);
+
+    sheet[XLSX.utils.encode_cell({ r: row, c: issuesColumn })] = {
+      t: "s",
+      v: rowIssues.map(describeIssue).join("\n"),
+    };
+
+    const byColumn = groupBy(rowIssues, (issue) => findFieldColumn(headers, issue.field));
+    byColumn.forEach((columnIssues, column) => {
+      if (column === null) {
+        return;
+      }
+      addComment(
+        sheet,
+        XLSX.utils.encode_cell({ r: row, c: column }),
+        columnIssues.map(describeIssue),
+      );
+    });
+  });
+
+  sheet["!ref"] = XLSX.utils.encode_range({
+    s: range.s,
+    e: { r: lastRow, c: Math.max(range.e.c, issuesColumn) },
+  });
+}
+
+export function createAnnotatedWorkbook(arrayBuffer, issues, columnMapping = {}) {
+  const workbook = XLSX.read(arrayBuffer, { type: "array", cellNF: true, cellStyles: true });
+  if (workbook.Sheets[ISSUES_HEADER]) {
+    delete workbook.Sheets[ISSUES_HEADER];
+    workbook.SheetNames = workbook.SheetNames.filter((name) => name !== ISSUES_HEADER);
+  }
+
+  const bySheet = groupBy(issues, (issue) => issue.sheet);
+  workbook.SheetNames.forEach((sheetName) => {
+    annotateSheet(
+      workbook.Sheets[sheetName],
+      bySheet.get(sheetName) || [],
+      columnMapping[sheetName]?.columns,
+    );
+  });
+
+  const orphanIssues = issues.filter((issue) => !workbook.Sheets[issue.sheet]);
+  if (orphanIssues.length > 0) {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ["severity", "sheet", "row", "field", "message"],
+      ...orphanIssues.map((issue) => [
+        issue.severity,
+        issue.sheet,
+        issue.row ?? "",
+        issue.field ?? "",
+        issue.message,
+      ]),
+    ]);
+    XLSX.utils.book_append_sheet(workbook, sheet, ISSUES_HEADER);
+  }
+
+  return workbook;
+}
+
+export function downloadAnnotatedWorkbook(arrayBuffer, issues, fileName, columnMapping) {
+  const workbook = createAnnotatedWorkbook(arrayBuffer, issues, columnMapping);
+  const baseName = String(fileName || "PIM_Import").replace(/\.[^.]+$/, "");
+  XLSX.writeFile(workbook, `${baseName}_issues.xlsx`);
+}
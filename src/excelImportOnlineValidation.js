@@ -0,0 +1,117 @@
+import { fetchItemsByIdentifiers, fetchLovs, fetchPimMetadata, fetchRelations } from "./pimApi.js";
+
+const REFERENCE_LABELS = {
+  type: "Type",
+  group: "Attribute group",
+  attribute: "Attribute",
+  item: "Item",
+  lov: "LOV",
+  relation: "Relation",
+};
+
+function collectReferences(issues) {
+  const references = {
+    type: new Set(),
+    group: new Set(),
+    attribute: new Set(),
+    item: new Set(),
+    lov: new Set(),
+    relation: new Set(),
+  };
+
+  issues.forEach((issue) => {
+    const reference = issue.reference;
+    if (reference && references[reference.kind]) {
+      references[reference.kind].add(reference.identifier);
+    }
+  });
+
+  return references;
+}
+
+async function loadExistingIdentifiers(references, signal) {
+  const existing = {
+    type: new Set(),
+    group: new Set(),
+    attribute: new Set(),
+    item: new Set(),
+    lov: new Set(),
+    relation: new Set(),
+  };
+
+  if (references.type.size > 0 || references.group.size > 0 || references.attribute.size > 0) {
+    const metadata = await fetchPimMetadata({ signal });
+    metadata.types.forEach((type) => existing.type.add(type.identifier));
+    metadata.groups.forEach((group) => existing.group.add(group.identifier));
+    metadata.attributes.forEach((attribute) => existing.attribute.add(attribute.identifier));
+  }
+
+  if (references.item.size > 0) {
+    const items = await fetchItemsByIdentifiers([...references.item], undefined, { signal });
+    items.forEach((item) => existing.item.add(item.identifier));
+  }
+
+  if (references.lov.size > 0) {
+    const lovs = await fetchLovs({ signal });
+    lovs.forEach((lov) => {
+      existing.lov.add(lov.identifier);
+      existing.lov.add(String(lov.id).toLowerCase());
+    });
+  }
+
+  if (references.relation.size > 0) {
+    const relations = await fetchRelations({ signal });
+    relations.forEach((relation) => existing.relation.add(relation.identifier));
+  }
+
+  return existing;
+}
+
+export async function validateReferencesAgainstPim(validation, { signal } = {}) {
+  const references = collectReferences([...validation.errors, ...validation.warnings]);
+  const hasReferences = Object.values(references).some((set) => set.size > 0);
+  if (!hasReferences) {
+    return { ...validation, referencesChecked: true };
+  }
+
+  const existing = await loadExistingIdentifiers(references, signal);
+
+  const unresolved = [];
+  const warnings = [];
+
+  const resolveIssue = (issue, target) => {
+    const reference = issue.reference;
+    if (!reference || !existing[reference.kind]) {
+      target.push(issue);
+      return;
+    }
+
+    if (existing[reference.kind].has(reference.identifier)) {
+      return;
+    }
+
+    unresolved.push({
+      ...issue,
+      severity: "error",
+      message: `${REFERENCE_LABELS[reference.kind]} '${reference.identifier}' does not exist in PIM and is not defined in this workbook.`,
+    });
+  };
+
+  const errors = [];
+  validation.errors.forEach((issue) => resolveIssue(issue, errors));
+  validation.warnings.forEach((issue) => resolveIssue(issue, warnings));
+  errors.push(...unresolved);
+
+  return {
+    ...validation,
+    errors,
+    warnings,
+    summary: {
+      ...validation.summary,
+      errors: errors.length,
+      warnings: warnings.length,
+    },
+    valid: errors.length === 0,
+    referencesChecked: true,
+  };
+}
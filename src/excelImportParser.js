@@ -1,14 +1,25 @@
 import * as XLSX from "xlsx";
 import {
   ATTRIBUTE_HEADERS,
+  ATTRIBUTE_REQUIRED_HEADERS,
   CONFIG_HEADERS,
   GROUP_HEADERS,
+  ISSUES_HEADER,
+  ITEM_ASSET_HEADERS,
+  ITEM_ASSET_REQUIRED_HEADERS,
   ITEM_BASE_HEADERS,
-  PRODUCT_SHEETS,
+  ITEM_RELATION_HEADERS,
+  ITEM_RELATION_REQUIRED_HEADERS,
+  ITEM_REQUIRED_HEADERS,
+  LOV_HEADERS,
   SHEETS,
   TYPE_GROUP_BINDING_HEADERS,
   TYPE_HEADERS,
+  VALUE_RULE_HEADERS,
+  withDefaultLanguageHeaders,
 } from "./excelImportTemplate.js";
+import { UNIT_FACTORS, isDecimalSeparator, parseMeasurement, resolveUnit } from "./unitValues.js";
+import { applyValueRules, compileValueRules } from "./valueTransforms.js";
 
 const VALID_IMPORT_MODES = new Set([
   "CREATE_ONLY",
@@ -20,6 +31,14 @@ const VALID_ERROR_PROCESSING = new Set(["PROCESS_WARN", "WARN_REJECTED"]);
 
 const ATTRIBUTE_TYPE_CODES = new Set([1, 2, 3, 4, 5, 6, 7, 8]);
 
+const DATE_CELL_TYPE_CODES = new Set([5, 6]);
+
+const ROW_PROGRESS_INTERVAL = 1000;
+
+const MAX_TRANSFORMATION_SAMPLES = 500;
+
+const PROFILE_RULES_SOURCE = "Value rules (profile)";
+
 function toText(value) {
   if (value === null || value === undefined) {
     return "";
@@ -41,6 +60,30 @@ function isBlank(value) {
   return false;
 }
 
+function readSheetHeaders(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet["!ref"]) {
+    return [];
+  }
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  range.e.r = range.s.r;
+
+  const matrix = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: false,
+    defval: "",
+    range,
+  });
+
+  const rawHeaders = Array.isArray(matrix[0]) ? matrix[0] : [];
+  return rawHeaders.map((value) => toText(value));
+}
+
+function isDateFormattedCell(cell) {
+  return cell?.t === "n" && Boolean(cell.z) && XLSX.SSF.is_date(cell.z);
+}
+
 function parseSheetWithHeaders(workbook, sheetName, requiredHeaders) {
   const sheet = workbook.Sheets[sheetName];
   if (!sheet) {
@@ -52,15 +95,7 @@ function parseSheetWithHeaders(workbook, sheetName, requiredHeaders) {
     };
   }
 
-  const matrix = XLSX.utils.sheet_to_json(sheet, {
-    header: 1,
-    raw: false,
-    defval: "",
-    blankrows: false,
-  });
-
-  const rawHeaders = Array.isArray(matrix[0]) ? matrix[0] : [];
-  const headers = rawHeaders.map((value) => toText(value));
+  const headers = readSheetHeaders(workbook, sheetName);
   const headerMap = new Map();
   headers.forEach((header, index) => {
     if (header) {
@@ -71,15 +106,35 @@ function parseSheetWithHeaders(workbook, sheetName, requiredHeaders) {
   const missingHeaders = requiredHeaders.filter((header) => !headerMap.has(header));
 
   const rows = [];
-  for (let rowIndex = 1; rowIndex < matrix.length; rowIndex += 1) {
-    const rowArray = Array.isArray(matrix[rowIndex]) ? matrix[rowIndex] : [];
-    const rowObject = {};
-
-    headers.forEach((header, index) => {
-      rowObject[header] = rowArray[index];
+  if (headers.length > 0) {
+    const range = XLSX.utils.decode_range(sheet["!ref"]);
+    const records = XLSX.utils.sheet_to_json(sheet, {
+      header: headers,
+      range: range.s.r + 1,
+      raw: false,
+      defval: "",
+      blankrows: false,
     });
 
-    rows.push({ rowNumber: rowIndex + 1, data: rowObject });
+    records.forEach((record) => {
+      const rowIndex = record.__rowNum__;
+      const rowObject = {};
+      const dateCells = {};
+      const numberCells = {};
+
+      headers.forEach((header, index) => {
+        rowObject[header] = record[header];
+
+        const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: range.s.c + index })];
+        if (isDateFormattedCell(cell)) {
+          dateCells[header] = cell.v;
+        } else if (cell?.t === "n") {
+          numberCells[header] = cell.v;
+        }
+      });
+
+      rows.push({ rowNumber: rowIndex + 1, data: rowObject, dateCells, numberCells });
+    });
   }
 
   return {
@@ -90,8 +145,12 @@ function parseSheetWithHeaders(workbook, sheetName, requiredHeaders) {
   };
 }
 
-function addIssue(target, severity, sheet, row, field, message) {
-  target.push({ severity, sheet, row, field, message });
+function addIssue(target, severity, sheet, row, field, message, reference) {
+  const issue = { severity, sheet, row, field, message };
+  if (reference) {
+    issue.reference = reference;
+  }
+  target.push(issue);
 }
 
 function parseBoolean(value) {
@@ -127,22 +186,129 @@ function parseInteger(value) {
   return { ok: true, value: Number.parseInt(text, 10) };
 }
 
-function parseFloatNumber(value) {
-  if (typeof value === "number" && Number.isFinite(value)) {
-    return { ok: true, value };
+function padNumber(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+function isValidCalendarDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) {
+    return false;
   }
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day <= daysInMonth;
+}
 
+function parseDate(value) {
   const text = toText(value);
-  if (text === "") {
-    return { ok: false, error: "Expected number" };
+  const compactNumber = Number.isInteger(value) && value >= 10000101 && value <= 99991231;
+
+  if (typeof value === "number" && !compactNumber) {
+    const code = value >= 1 ? XLSX.SSF.parse_date_code(value) : null;
+    if (!code) {
+      return { ok: false, error: `Excel date number ${text} is out of range` };
+    }
+    return { ok: true, value: `${padNumber(code.y, 4)}-${padNumber(code.m)}-${padNumber(code.d)}` };
+  }
+
+  let year;
+  let month;
+  let day;
+
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const europeanMatch = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  const compactMatch = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+
+  if (isoMatch) {
+    [year, month, day] = isoMatch.slice(1).map(Number);
+  } else if (compactMatch) {
+    [year, month, day] = compactMatch.slice(1).map(Number);
+  } else if (europeanMatch) {
+    [day, month, year] = europeanMatch.slice(1).map(Number);
+  } else {
+    return {
+      ok: false,
+      error: "Expected date as YYYY-MM-DD, YYYYMMDD, DD.MM.YYYY, DD/MM/YYYY or an Excel date",
+    };
+  }
+
+  if (!isValidCalendarDate(year, month, day)) {
+    return { ok: false, error: `'${text}' is not a valid calendar date` };
+  }
+
+  return { ok: true, value: `${padNumber(year, 4)}-${padNumber(month)}-${padNumber(day)}` };
+}
+
+function parseTime(value) {
+  const text = toText(value);
+  const serial = typeof value === "number" ? value : /^0?\.\d+$|^0$/.test(text) ? Number(text) : null;
+
+  if (serial !== null) {
+    const totalSeconds = Math.min(Math.round((serial - Math.floor(serial)) * 86400), 86399);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return { ok: true, value: `${padNumber(hours)}:${padNumber(minutes)}:${padNumber(seconds)}` };
+  }
+
+  const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return { ok: false, error: "Expected time as HH:mm or HH:mm:ss" };
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = match[3] === undefined ? 0 : Number(match[3]);
+
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return { ok: false, error: `'${text}' is not a valid time` };
+  }
+
+  return { ok: true, value: `${padNumber(hours)}:${padNumber(minutes)}:${padNumber(seconds)}` };
+}
+
+const URL_PROTOCOLS = new Set(["http:", "https:", "ftp:"]);
+
+function parseUrl(value) {
+  const text = toText(value);
+  const error = "Expected absolute URL starting with http://, https:// or ftp://";
+
+  if (/\s/.test(text)) {
+    return { ok: false, error };
   }
 
-  const parsed = Number.parseFloat(text);
-  if (!Number.isFinite(parsed)) {
-    return { ok: false, error: "Expected number" };
+  try {
+    const url = new URL(text);
+    if (!URL_PROTOCOLS.has(url.protocol) || !url.hostname) {
+      return { ok: false, error };
+    }
+  } catch {
+    return { ok: false, error };
+  }
+
+  return { ok: true, value: text };
+}
+
+function parseEnum(value, attribute) {
+  const text = toText(value);
+  if (!attribute.lovValues) {
+    return { ok: true, value: text };
   }
 
-  return { ok: true, value: parsed };
+  const needle = text.toLowerCase();
+  const match = attribute.lovValues.find(
+    (entry) => String(entry.id).toLowerCase() === needle || entry.labels.includes(needle),
+  );
+
+  if (!match) {
+    const allowed = attribute.lovValues.map((entry) => entry.display);
+    const preview = allowed.slice(0, 10).join(", ") + (allowed.length > 10 ? ", ..." : "");
+    return {
+      ok: false,
+      error: `'${text}' is not a value of LOV '${attribute.lov}'. Allowed: ${preview}`,
+    };
+  }
+
+  return { ok: true, value: match.id };
 }
 
 function parseCsvList(value) {
@@ -184,11 +350,36 @@ function parseJsonObject(value, allowBlank = true) {
   }
 }
 
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[a-z]{2})?$/;
+
+function parseLocalizedText(rowData, headers, prefix) {
+  const headerPattern = new RegExp(`^${prefix}_([a-z]{2}(?:-[a-z]{2})?)$`, "i");
+  const text = {};
+
+  headers.forEach((header) => {
+    const match = header.match(headerPattern);
+    const value = match ? toText(rowData[header]) : "";
+    if (value) {
+      text[match[1].toLowerCase()] = value;
+    }
+  });
+
+  return text;
+}
+
+function parseAttributeHeader(header) {
+  const [identifierPart, languagePart] = header.slice(5).split("@");
+  return {
+    attributeIdentifier: normalizeIdentifier(identifierPart),
+    language: languagePart === undefined ? null : normalizeIdentifier(languagePart),
+  };
+}
+
 function rowHasAnyValue(rowData, headers) {
   return headers.some((header) => !isBlank(rowData[header]));
 }
 
-function coerceAttributeValue(rawValue, attribute, defaultLanguage) {
+function coerceTypedValue(rawValue, attribute, config) {
   if (rawValue === null || rawValue === undefined || toText(rawValue) === "") {
     return { ok: true, skip: true };
   }
@@ -201,7 +392,7 @@ function coerceAttributeValue(rawValue, attribute, defaultLanguage) {
     return {
       ok: true,
       value: {
-        [defaultLanguage]: toText(rawValue),
+        [config.defaultLanguage]: toText(rawValue),
       },
     };
   }
@@ -218,20 +409,172 @@ function coerceAttributeValue(rawValue, attribute, defaultLanguage) {
       return { ok: true, value: parsed.value };
     }
     case 4: {
-      const parsed = parseFloatNumber(rawValue);
+      const parsed = parseMeasurement(rawValue, {
+        unit: attribute.unit,
+        decimalSeparator: config.decimalSeparator,
+      });
+      if (!parsed.ok) return { ok: false, error: parsed.error };
+      return { ok: true, value: parsed.value, warning: parsed.warning };
+    }
+    case 5: {
+      const parsed = parseDate(rawValue);
+      if (!parsed.ok) return { ok: false, error: parsed.error };
+      return { ok: true, value: parsed.value };
+    }
+    case 6: {
+      const parsed = parseTime(rawValue);
+      if (!parsed.ok) return { ok: false, error: parsed.error };
+      return { ok: true, value: parsed.value };
+    }
+    case 7: {
+      const parsed = parseEnum(rawValue, attribute);
+      if (!parsed.ok) return { ok: false, error: parsed.error };
+      return { ok: true, value: parsed.value };
+    }
+    case 8: {
+      const parsed = parseUrl(rawValue);
       if (!parsed.ok) return { ok: false, error: parsed.error };
       return { ok: true, value: parsed.value };
     }
     case 1:
-    case 5:
-    case 6:
-    case 7:
-    case 8:
     default:
       return { ok: true, value: toText(rawValue) };
   }
 }
 
+function matchesPattern(value, attribute) {
+  const texts = value && typeof value === "object" ? Object.values(value) : [value];
+  const mismatch = texts
+    .map((text) => toText(text))
+    .find((text) => text !== "" && !attribute.pattern.test(text));
+
+  if (mismatch !== undefined) {
+    return {
+      ok: false,
+      error: `'${mismatch}' does not match pattern ${attribute.pattern.source}`,
+    };
+  }
+
+  return { ok: true };
+}
+
+function coerceSingleValue(rawValue, attribute, config) {
+  const coerced = coerceTypedValue(rawValue, attribute, config);
+  if (!coerced.ok || coerced.skip || !attribute.pattern || attribute.type !== 1) {
+    return coerced;
+  }
+
+  const checked = matchesPattern(coerced.value, attribute);
+  if (!checked.ok) return { ok: false, error: checked.error };
+  return coerced;
+}
+
+function splitListValue(rawValue, config) {
+  if (Array.isArray(rawValue)) {
+    return { ok: true, value: rawValue };
+  }
+
+  const text = toText(rawValue);
+  if (typeof rawValue !== "string") {
+    return { ok: true, value: text === "" ? [] : [rawValue] };
+  }
+
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return { ok: true, value: parsed };
+      }
+    } catch {
+      return { ok: false, error: "List starting with [ must be a valid JSON array" };
+    }
+  }
+
+  return {
+    ok: true,
+    value: text
+      .split(config.listSeparator)
+      .map((entry) => entry.trim())
+      .filter((entry) => entry !== ""),
+  };
+}
+
+function coerceListValue(rawValue, attribute, config) {
+  if (attribute.languageDependent) {
+    const entries =
+      rawValue && typeof rawValue === "object" && !Array.isArray(rawValue)
+        ? rawValue
+        : { [config.defaultLanguage]: rawValue };
+    const elementAttribute = { ...attribute, languageDependent: false };
+    const value = {};
+    const warnings = [];
+
+    for (const [language, entry] of Object.entries(entries)) {
+      const coerced = coerceListValue(entry, elementAttribute, config);
+      if (!coerced.ok) return { ok: false, error: `${language}: ${coerced.error}` };
+      if (coerced.skip) continue;
+      value[language] = coerced.value;
+      if (coerced.warning) warnings.push(`${language}: ${coerced.warning}`);
+    }
+
+    if (Object.keys(value).length === 0) {
+      return { ok: true, skip: true };
+    }
+    return warnings.length > 0
+      ? { ok: true, value, warning: warnings.join("; ") }
+      : { ok: true, value };
+  }
+
+  const list = splitListValue(rawValue, config);
+  if (!list.ok) return list;
+
+  const value = [];
+  const warnings = [];
+  for (const [index, element] of list.value.entries()) {
+    const coerced = coerceSingleValue(element, attribute, config);
+    if (!coerced.ok) {
+      return { ok: false, error: `Element ${index + 1} ('${toText(element)}'): ${coerced.error}` };
+    }
+    if (coerced.skip) continue;
+    value.push(coerced.value);
+    if (coerced.warning) warnings.push(`Element ${index + 1}: ${coerced.warning}`);
+  }
+
+  if (value.length === 0) {
+    return { ok: true, skip: true };
+  }
+  return warnings.length > 0
+    ? { ok: true, value, warning: warnings.join("; ") }
+    : { ok: true, value };
+}
+
+function coerceAttributeValue(rawValue, attribute, config) {
+  if (attribute.multiValued) {
+    return coerceListValue(rawValue, attribute, config);
+  }
+
+  if (Array.isArray(rawValue)) {
+    return {
+      ok: false,
+      error: "Attribute is not multi_valued, so it cannot hold a list of values",
+    };
+  }
+
+  return coerceSingleValue(rawValue, attribute, config);
+}
+
+function parseSheetNameList(value) {
+  const text = toText(value);
+  if (!text) {
+    return [];
+  }
+
+  return text
+    .split(/[;,]/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0);
+}
+
 function ensureRequiredSheets(workbook, issues) {
   const requiredSheets = [
     SHEETS.CONFIG,
@@ -240,7 +583,6 @@ function ensureRequiredSheets(workbook, issues) {
     SHEETS.TYPES,
     SHEETS.TYPE_GROUP_BINDINGS,
     SHEETS.ITEM_PARENTS,
-    ...PRODUCT_SHEETS,
   ];
 
   const available = new Set(workbook.SheetNames || []);
@@ -251,6 +593,67 @@ function ensureRequiredSheets(workbook, issues) {
   }
 }
 
+function resolveProductSheets(workbook, config, issues) {
+  const itemHeaders = withDefaultLanguageHeaders(ITEM_REQUIRED_HEADERS, config.defaultLanguage);
+  const metadataSheets = new Set(Object.values(SHEETS));
+  const available = new Set(workbook.SheetNames || []);
+  const productSheets = [];
+
+  config.productSheets.forEach((sheetName) => {
+    if (metadataSheets.has(sheetName)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.CONFIG,
+        null,
+        "product_sheets",
+        `Metadata sheet '${sheetName}' cannot be used as a product sheet`,
+      );
+      return;
+    }
+
+    if (!available.has(sheetName)) {
+      addIssue(
+        issues,
+        "error",
+        sheetName,
+        null,
+        "sheet",
+        "Sheet is listed in product_sheets but missing",
+      );
+      return;
+    }
+
+    if (!productSheets.includes(sheetName)) {
+      productSheets.push(sheetName);
+    }
+  });
+
+  (workbook.SheetNames || []).forEach((sheetName) => {
+    if (metadataSheets.has(sheetName) || productSheets.includes(sheetName)) {
+      return;
+    }
+
+    const headers = new Set(readSheetHeaders(workbook, sheetName));
+    if (itemHeaders.every((header) => headers.has(header))) {
+      productSheets.push(sheetName);
+    }
+  });
+
+  if (productSheets.length === 0) {
+    addIssue(
+      issues,
+      "warning",
+      "Workbook",
+      null,
+      "sheet",
+      `No product sheets found. Add a sheet with columns ${itemHeaders.join(", ")} or list it in product_sheets.`,
+    );
+  }
+
+  return productSheets;
+}
+
 function parseConfig(workbook, issues) {
   const parsed = parseSheetWithHeaders(workbook, SHEETS.CONFIG, CONFIG_HEADERS);
   if (!parsed.exists) {
@@ -258,6 +661,11 @@ function parseConfig(workbook, issues) {
       mode: "CREATE_UPDATE",
       errors: "PROCESS_WARN",
       defaultLanguage: "en",
+      languages: ["en"],
+      productSheets: [],
+      workbookId: "",
+      decimalSeparator: "",
+      listSeparator: ";",
     };
   }
 
@@ -285,6 +693,10 @@ function parseConfig(workbook, issues) {
   const mode = (kv.get("mode") || "CREATE_UPDATE").toUpperCase();
   const errors = (kv.get("errors") || "PROCESS_WARN").toUpperCase();
   const defaultLanguage = (kv.get("default_language") || "en").toLowerCase();
+  const productSheets = parseSheetNameList(kv.get("product_sheets"));
+  const languages = parseCsvList(kv.get("languages"));
+  const decimalSeparator = kv.get("decimal_separator") || "";
+  const listSeparator = kv.get("list_separator") || ";";
 
   if (!VALID_IMPORT_MODES.has(mode)) {
     addIssue(
@@ -308,7 +720,18 @@ function parseConfig(workbook, issues) {
     );
   }
 
-  if (!/^[a-z]{2}(-[a-z]{2})?$/.test(defaultLanguage)) {
+  if (decimalSeparator && !isDecimalSeparator(decimalSeparator)) {
+    addIssue(
+      issues,
+      "error",
+      SHEETS.CONFIG,
+      null,
+      "decimal_separator",
+      "decimal_separator must be . or , (leave empty to detect it per value)",
+    );
+  }
+
+  if (!LANGUAGE_PATTERN.test(defaultLanguage)) {
     addIssue(
       issues,
       "warning",
@@ -319,17 +742,43 @@ function parseConfig(workbook, issues) {
     );
   }
 
+  languages.forEach((language) => {
+    if (!LANGUAGE_PATTERN.test(language)) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.CONFIG,
+        null,
+        "languages",
+        `Language '${language}' should look like en or en-us`,
+      );
+    }
+  });
+
+  if (!languages.includes(defaultLanguage)) {
+    languages.unshift(defaultLanguage);
+  }
+
   return {
     mode,
     errors,
     defaultLanguage,
+    languages,
+    productSheets,
+    workbookId: kv.get("workbook_id") || "",
+    decimalSeparator: isDecimalSeparator(decimalSeparator) ? decimalSeparator : "",
+    listSeparator,
   };
 }
 
 function parseAttributeGroups(workbook, config, issues) {
-  const parsed = parseSheetWithHeaders(workbook, SHEETS.GROUPS, GROUP_HEADERS);
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    SHEETS.GROUPS,
+    withDefaultLanguageHeaders(GROUP_HEADERS, config.defaultLanguage),
+  );
   if (!parsed.exists) {
-    return { payload: [], byIdentifier: new Map() };
+    return { payload: [], byIdentifier: new Map(), rowNumbers: new Map() };
   }
 
   if (parsed.missingHeaders.length > 0) {
@@ -339,6 +788,7 @@ function parseAttributeGroups(workbook, config, issues) {
   }
 
   const byIdentifier = new Map();
+  const rowNumbers = new Map();
   const payload = [];
 
   parsed.rows.forEach(({ rowNumber, data }) => {
@@ -347,7 +797,7 @@ function parseAttributeGroups(workbook, config, issues) {
     }
 
     const identifier = normalizeIdentifier(data.identifier);
-    const name = toText(data.name_en);
+    const name = parseLocalizedText(data, parsed.headers, "name");
     const orderText = toText(data.order);
     const visibleText = toText(data.visible);
 
@@ -356,8 +806,15 @@ function parseAttributeGroups(workbook, config, issues) {
       return;
     }
 
-    if (!name) {
-      addIssue(issues, "error", SHEETS.GROUPS, rowNumber, "name_en", "name_en is required");
+    if (!name[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.GROUPS,
+        rowNumber,
+        `name_${config.defaultLanguage}`,
+        `name_${config.defaultLanguage} is required`,
+      );
       return;
     }
 
@@ -394,7 +851,7 @@ function parseAttributeGroups(workbook, config, issues) {
 
     const request = {
       identifier,
-      name: { [config.defaultLanguage]: name },
+      name,
     };
 
     if (order !== undefined) request.order = order;
@@ -402,16 +859,79 @@ function parseAttributeGroups(workbook, config, issues) {
     if (Object.keys(optionsParsed.value).length > 0) request.options = optionsParsed.value;
 
     byIdentifier.set(identifier, request);
+    rowNumbers.set(identifier, rowNumber);
     payload.push(request);
   });
 
-  return { payload, byIdentifier };
+  return { payload, byIdentifier, rowNumbers };
+}
+
+function findParentCycles(parentByIdentifier) {
+  const done = new Set();
+  const cycles = [];
+
+  for (const start of parentByIdentifier.keys()) {
+    const path = [];
+    const onPath = new Set();
+    let current = start;
+
+    while (current && !done.has(current) && !onPath.has(current)) {
+      path.push(current);
+      onPath.add(current);
+      current = parentByIdentifier.get(current);
+    }
+
+    if (current && onPath.has(current)) {
+      const cycle = path.slice(path.indexOf(current));
+      if (cycle.length > 1) {
+        cycles.push(cycle);
+      }
+    }
+
+    path.forEach((identifier) => done.add(identifier));
+  }
+
+  return cycles;
+}
+
+function orderParentsFirst(entries) {
+  const byIdentifier = new Map(entries.map((entry) => [entry.identifier, entry]));
+  const placed = new Set();
+  const visiting = new Set();
+  const ordered = [];
+
+  const visit = (entry) => {
+    if (placed.has(entry.identifier) || visiting.has(entry.identifier)) {
+      return;
+    }
+
+    visiting.add(entry.identifier);
+    const parent = byIdentifier.get(entry.parentIdentifier);
+    if (parent) {
+      visit(parent);
+    }
+    visiting.delete(entry.identifier);
+
+    placed.add(entry.identifier);
+    ordered.push(entry);
+  };
+
+  entries.forEach(visit);
+  return ordered;
+}
+
+function formatCyclePath(cycle, describe) {
+  return [...cycle, cycle[0]].map(describe).join(" -> ");
 }
 
 function parseTypes(workbook, config, issues) {
-  const parsed = parseSheetWithHeaders(workbook, SHEETS.TYPES, TYPE_HEADERS);
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    SHEETS.TYPES,
+    withDefaultLanguageHeaders(TYPE_HEADERS, config.defaultLanguage),
+  );
   if (!parsed.exists) {
-    return { payload: [], byIdentifier: new Map() };
+    return { payload: [], byIdentifier: new Map(), rowNumbers: new Map() };
   }
 
   if (parsed.missingHeaders.length > 0) {
@@ -421,6 +941,7 @@ function parseTypes(workbook, config, issues) {
   }
 
   const byIdentifier = new Map();
+  const rowNumbers = new Map();
   const payload = [];
 
   parsed.rows.forEach(({ rowNumber, data }) => {
@@ -429,7 +950,7 @@ function parseTypes(workbook, config, issues) {
     }
 
     const identifier = normalizeIdentifier(data.identifier);
-    const name = toText(data.name_en);
+    const name = parseLocalizedText(data, parsed.headers, "name");
     const parentIdentifier = normalizeIdentifier(data.parent_identifier);
 
     if (!identifier) {
@@ -437,8 +958,15 @@ function parseTypes(workbook, config, issues) {
       return;
     }
 
-    if (!name) {
-      addIssue(issues, "error", SHEETS.TYPES, rowNumber, "name_en", "name_en is required");
+    if (!name[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.TYPES,
+        rowNumber,
+        `name_${config.defaultLanguage}`,
+        `name_${config.defaultLanguage} is required`,
+      );
       return;
     }
 
@@ -459,7 +987,7 @@ function parseTypes(workbook, config, issues) {
 
     const request = {
       identifier,
-      name: { [config.defaultLanguage]: name },
+      name,
     };
 
     if (parentIdentifier) {
@@ -474,6 +1002,7 @@ function parseTypes(workbook, config, issues) {
     if (fileValue !== undefined) request.file = fileValue;
 
     byIdentifier.set(identifier, request);
+    rowNumbers.set(identifier, rowNumber);
     payload.push(request);
   });
 
@@ -483,9 +1012,10 @@ function parseTypes(workbook, config, issues) {
         issues,
         "warning",
         SHEETS.TYPES,
-        null,
+        rowNumbers.get(typeRequest.identifier),
         "parent_identifier",
         `Parent type '${typeRequest.parentIdentifier}' is not defined in this workbook. It must already exist in PIM.`,
+        { kind: "type", identifier: typeRequest.parentIdentifier },
       );
     }
 
@@ -494,15 +1024,34 @@ function parseTypes(workbook, config, issues) {
         issues,
         "error",
         SHEETS.TYPES,
-        null,
+        rowNumbers.get(typeRequest.identifier),
         "parent_identifier",
         `Type '${typeRequest.identifier}' cannot reference itself as parent.`,
       );
     }
   });
 
-  return { payload, byIdentifier };
-}
+  const typeParents = new Map(
+    payload.map((typeRequest) => [typeRequest.identifier, typeRequest.parentIdentifier]),
+  );
+
+  findParentCycles(typeParents).forEach((cycle) => {
+    const path = formatCyclePath(
+      cycle,
+      (identifier) => `${identifier} (row ${rowNumbers.get(identifier)})`,
+    );
+    addIssue(
+      issues,
+      "error",
+      SHEETS.TYPES,
+      rowNumbers.get(cycle[0]),
+      "parent_identifier",
+      `Type hierarchy contains a cycle (child -> parent): ${path}`,
+    );
+  });
+
+  return { payload, byIdentifier, rowNumbers };
+}
 
 function parseTypeGroupBindings(workbook, groupIdentifiers, typeIdentifiers, issues) {
   const parsed = parseSheetWithHeaders(
@@ -563,6 +1112,7 @@ function parseTypeGroupBindings(workbook, groupIdentifiers, typeIdentifiers, iss
         rowNumber,
         "group_identifier",
         `Group '${groupIdentifier}' is not defined in Attribute_Groups sheet`,
+        { kind: "group", identifier: groupIdentifier },
       );
     }
 
@@ -574,6 +1124,7 @@ function parseTypeGroupBindings(workbook, groupIdentifiers, typeIdentifiers, iss
         rowNumber,
         "type_identifier",
         `Type '${typeIdentifier}' is not defined in Types sheet`,
+        { kind: "type", identifier: typeIdentifier },
       );
     }
 
@@ -604,10 +1155,154 @@ function parseTypeGroupBindings(workbook, groupIdentifiers, typeIdentifiers, iss
   return bindingMap;
 }
 
-function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues) {
-  const parsed = parseSheetWithHeaders(workbook, SHEETS.ATTRIBUTES, ATTRIBUTE_HEADERS);
+function parseLovs(workbook, config, issues) {
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    SHEETS.LOVS,
+    withDefaultLanguageHeaders(LOV_HEADERS, config.defaultLanguage),
+  );
   if (!parsed.exists) {
-    return { payload: [], byIdentifier: new Map() };
+    return { payload: [], byIdentifier: new Map(), rowNumbers: new Map() };
+  }
+
+  if (parsed.missingHeaders.length > 0) {
+    parsed.missingHeaders.forEach((header) => {
+      addIssue(issues, "error", SHEETS.LOVS, 1, header, "Missing required header");
+    });
+  }
+
+  const byIdentifier = new Map();
+  const rowNumbers = new Map();
+  const payload = [];
+
+  parsed.rows.forEach(({ rowNumber, data }) => {
+    if (!rowHasAnyValue(data, LOV_HEADERS)) {
+      return;
+    }
+
+    const identifier = normalizeIdentifier(data.identifier);
+    if (!identifier) {
+      addIssue(issues, "error", SHEETS.LOVS, rowNumber, "identifier", "identifier is required");
+      return;
+    }
+
+    const label = parseLocalizedText(data, parsed.headers, "label");
+    if (isBlank(data.value_id) && Object.keys(label).length === 0) {
+      if (!byIdentifier.has(identifier)) {
+        const lov = {
+          identifier,
+          name: parseLocalizedText(data, parsed.headers, "name"),
+          values: [],
+        };
+        byIdentifier.set(identifier, lov);
+        rowNumbers.set(identifier, rowNumber);
+        payload.push(lov);
+      }
+      return;
+    }
+
+    const parsedValueId = parseInteger(data.value_id);
+    if (!parsedValueId.ok) {
+      addIssue(issues, "error", SHEETS.LOVS, rowNumber, "value_id", parsedValueId.error);
+      return;
+    }
+
+    if (!label[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.LOVS,
+        rowNumber,
+        `label_${config.defaultLanguage}`,
+        `label_${config.defaultLanguage} is required`,
+      );
+      return;
+    }
+
+    let lov = byIdentifier.get(identifier);
+    if (!lov) {
+      lov = { identifier, name: {}, values: [] };
+      byIdentifier.set(identifier, lov);
+      rowNumbers.set(identifier, rowNumber);
+      payload.push(lov);
+    }
+
+    if (lov.values.some((entry) => entry.id === parsedValueId.value)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.LOVS,
+        rowNumber,
+        "value_id",
+        `Duplicate value_id ${parsedValueId.value} in LOV '${identifier}'`,
+      );
+      return;
+    }
+
+    lov.name = { ...parseLocalizedText(data, parsed.headers, "name"), ...lov.name };
+    lov.values.push({ id: parsedValueId.value, value: label });
+  });
+
+  payload.forEach((lov) => {
+    if (!lov.name[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.LOVS,
+        rowNumbers.get(lov.identifier),
+        `name_${config.defaultLanguage}`,
+        `LOV '${lov.identifier}' needs name_${config.defaultLanguage} on at least one of its rows`,
+      );
+    }
+
+    if (lov.values.length === 0) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.LOVS,
+        rowNumbers.get(lov.identifier),
+        "value_id",
+        `LOV '${lov.identifier}' has no values`,
+      );
+    }
+  });
+
+  return { payload, byIdentifier, rowNumbers };
+}
+
+function buildLovMap(lovs) {
+  const lovMap = new Map();
+  lovs.forEach((lov) => {
+    const values = (Array.isArray(lov.values) ? lov.values : []).map((entry) => {
+      const labels =
+        entry.value && typeof entry.value === "object"
+          ? Object.values(entry.value).map((label) => toText(label))
+          : [toText(entry.value)];
+      const nonEmptyLabels = labels.filter((label) => label.length > 0);
+
+      return {
+        id: entry.id,
+        labels: nonEmptyLabels.map((label) => label.toLowerCase()),
+        display: nonEmptyLabels[0] || toText(entry.id),
+      };
+    });
+
+    const model = { identifier: normalizeIdentifier(lov.identifier), values };
+    if (model.identifier) lovMap.set(model.identifier, model);
+    if (!isBlank(lov.id)) lovMap.set(normalizeIdentifier(lov.id), model);
+  });
+
+  return lovMap;
+}
+
+function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, lovMap, issues) {
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    SHEETS.ATTRIBUTES,
+    withDefaultLanguageHeaders(ATTRIBUTE_REQUIRED_HEADERS, config.defaultLanguage),
+  );
+  if (!parsed.exists) {
+    return { payload: [], byIdentifier: new Map(), rowNumbers: new Map() };
   }
 
   if (parsed.missingHeaders.length > 0) {
@@ -617,6 +1312,7 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
   }
 
   const byIdentifier = new Map();
+  const rowNumbers = new Map();
   const payload = [];
 
   parsed.rows.forEach(({ rowNumber, data }) => {
@@ -625,7 +1321,7 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
     }
 
     const identifier = normalizeIdentifier(data.identifier);
-    const name = toText(data.name_en);
+    const name = parseLocalizedText(data, parsed.headers, "name");
     const typeRaw = toText(data.type_code);
 
     if (!identifier) {
@@ -633,8 +1329,15 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
       return;
     }
 
-    if (!name) {
-      addIssue(issues, "error", SHEETS.ATTRIBUTES, rowNumber, "name_en", "name_en is required");
+    if (!name[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        `name_${config.defaultLanguage}`,
+        `name_${config.defaultLanguage} is required`,
+      );
       return;
     }
 
@@ -709,6 +1412,10 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
       ? { ok: true, value: false }
       : parseBoolean(data.multi_line);
 
+    const multiValuedParsed = isBlank(data.multi_valued)
+      ? { ok: true, value: false }
+      : parseBoolean(data.multi_valued);
+
     if (!languageDependentParsed.ok) {
       addIssue(
         issues,
@@ -731,12 +1438,67 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
       return;
     }
 
+    if (!multiValuedParsed.ok) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        "multi_valued",
+        multiValuedParsed.error,
+      );
+      return;
+    }
+
     const optionsParsed = parseJsonObject(data.options_json, true);
     if (!optionsParsed.ok) {
       addIssue(issues, "error", SHEETS.ATTRIBUTES, rowNumber, "options_json", optionsParsed.error);
       return;
     }
 
+    const unitRaw = toText(optionsParsed.value.unit);
+    const unit = resolveUnit(unitRaw);
+    if (unitRaw && !unit) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        "options_json",
+        `Unknown unit '${unitRaw}'. Use one of: ${Object.keys(UNIT_FACTORS).join(", ")}`,
+      );
+      return;
+    }
+
+    if (unit && parsedType.value !== 4) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        "options_json",
+        "unit is only used to convert FLOAT (type_code 4) values",
+      );
+    }
+
+    const pattern = toText(data.pattern);
+    let patternRegex;
+    if (pattern) {
+      try {
+        patternRegex = new RegExp(pattern);
+      } catch (error) {
+        addIssue(
+          issues,
+          "error",
+          SHEETS.ATTRIBUTES,
+          rowNumber,
+          "pattern",
+          `Invalid pattern regex: ${error.message}`,
+        );
+        return;
+      }
+    }
+
     const validSet = new Set(parseCsvList(data.valid_types_csv));
     const visibleSet = new Set(parseCsvList(data.visible_types_csv));
 
@@ -761,13 +1523,14 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
           rowNumber,
           "valid_types_csv",
           `Type '${typeIdentifier}' is not in Types sheet. It must already exist in PIM.`,
+          { kind: "type", identifier: typeIdentifier },
         );
       }
     }
 
     const request = {
       identifier,
-      name: { [config.defaultLanguage]: name },
+      name,
       groups,
       type: parsedType.value,
       languageDependent: languageDependentParsed.value,
@@ -777,12 +1540,34 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
 
     if (order !== undefined) request.order = order;
 
-    const pattern = toText(data.pattern);
+    if (multiValuedParsed.value) request.multiValued = true;
+
     if (pattern) request.pattern = pattern;
 
     const lovIdentifier = normalizeIdentifier(data.lov_identifier);
     if (lovIdentifier) request.lov = lovIdentifier;
 
+    if (parsedType.value === 7 && !lovIdentifier) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        "lov_identifier",
+        "ENUM attribute has no lov_identifier, so item values cannot be checked",
+      );
+    } else if (lovIdentifier && !lovMap.has(lovIdentifier)) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ATTRIBUTES,
+        rowNumber,
+        "lov_identifier",
+        `LOV '${lovIdentifier}' is not defined in LOVs sheet. It must already exist in PIM.`,
+        { kind: "lov", identifier: lovIdentifier },
+      );
+    }
+
     if (validSet.size > 0) request.valid = [...validSet];
     if (visibleSet.size > 0) request.visible = [...visibleSet];
     if (Object.keys(optionsParsed.value).length > 0) request.options = optionsParsed.value;
@@ -791,21 +1576,86 @@ function parseAttributes(workbook, config, groupMap, typeMap, bindingMap, issues
       identifier,
       type: parsedType.value,
       languageDependent: languageDependentParsed.value,
+      multiValued: multiValuedParsed.value,
+      pattern: patternRegex,
+      unit: unit || undefined,
+      lov: lovIdentifier,
+      lovValues: lovIdentifier ? lovMap.get(lovIdentifier)?.values : undefined,
     };
 
     byIdentifier.set(identifier, model);
+    rowNumbers.set(identifier, rowNumber);
     payload.push(request);
   });
 
-  return { payload, byIdentifier };
+  return { payload, byIdentifier, rowNumbers };
+}
+
+function parseValueRules(workbook, attributeMap, profileRules, issues) {
+  const parsed = parseSheetWithHeaders(workbook, SHEETS.VALUE_RULES, VALUE_RULE_HEADERS);
+  const rules = [];
+
+  if (parsed.exists) {
+    parsed.missingHeaders.forEach((header) => {
+      addIssue(issues, "error", SHEETS.VALUE_RULES, 1, header, "Missing required header");
+    });
+
+    parsed.rows.forEach(({ rowNumber, data }) => {
+      if (!rowHasAnyValue(data, VALUE_RULE_HEADERS)) {
+        return;
+      }
+      rules.push({
+        attribute: normalizeIdentifier(data.attribute_identifier),
+        rule: toText(data.rule).toLowerCase(),
+        from: data.from,
+        to: data.to,
+        sheet: SHEETS.VALUE_RULES,
+        row: rowNumber,
+      });
+    });
+  }
+
+  (profileRules || []).forEach((rule, index) => {
+    rules.push({
+      attribute: normalizeIdentifier(rule.attribute),
+      rule: toText(rule.rule).toLowerCase(),
+      from: rule.from,
+      to: rule.to,
+      sheet: PROFILE_RULES_SOURCE,
+      row: index + 1,
+    });
+  });
+
+  const compiled = compileValueRules(rules, (rule, field, message) => {
+    addIssue(issues, "error", rule.sheet, rule.row, field, message);
+  });
+
+  rules.forEach((rule) => {
+    if (rule.attribute && !attributeMap.has(rule.attribute)) {
+      addIssue(
+        issues,
+        "warning",
+        rule.sheet,
+        rule.row,
+        "attribute_identifier",
+        `Attribute '${rule.attribute}' is not in Attributes sheet, so this rule is never applied`,
+      );
+    }
+  });
+
+  return compiled;
 }
 
-function collectDeclaredItemIdentifiers(workbook) {
-  const sheetNames = [SHEETS.ITEM_PARENTS, ...PRODUCT_SHEETS];
+function collectDeclaredItemIdentifiers(workbook, config, productSheets) {
+  const sheetNames = [SHEETS.ITEM_PARENTS, ...productSheets];
   const declared = new Set();
 
   sheetNames.forEach((sheetName) => {
-    const parsed = parseSheetWithHeaders(workbook, sheetName, ITEM_BASE_HEADERS);
+    const parsed = parseSheetWithHeaders(
+      workbook,
+      sheetName,
+      withDefaultLanguageHeaders(ITEM_REQUIRED_HEADERS, config.defaultLanguage),
+    );
     if (!parsed.exists) {
       return;
     }
@@ -827,11 +1677,18 @@ function parseItemSheet(
   config,
   attributeMap,
   typeMap,
-  seenItemIdentifiers,
+  itemLocations,
   declaredItemIdentifiers,
+  valueRules,
+  transformations,
   issues,
+  reportRowProgress,
 ) {
-  const parsed = parseSheetWithHeaders(workbook, sheetName, ITEM_BASE_HEADERS);
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    sheetName,
+    withDefaultLanguageHeaders(ITEM_REQUIRED_HEADERS, config.defaultLanguage),
+  );
   if (!parsed.exists) {
     return [];
   }
@@ -843,15 +1700,20 @@ function parseItemSheet(
   }
 
   const attrHeaders = parsed.headers.filter((header) => header.startsWith("attr:"));
+  const dataHeaders = parsed.headers.filter((header) => header !== ISSUES_HEADER);
   const payload = [];
 
-  parsed.rows.forEach(({ rowNumber, data }) => {
-    if (!rowHasAnyValue(data, parsed.headers)) {
+  parsed.rows.forEach(({ rowNumber, data, dateCells, numberCells }, index) => {
+    if (index > 0 && index % ROW_PROGRESS_INTERVAL === 0) {
+      reportRowProgress(index, parsed.rows.length);
+    }
+
+    if (!rowHasAnyValue(data, dataHeaders)) {
       return;
     }
 
     const identifier = normalizeIdentifier(data.identifier);
-    const name = toText(data.name_en);
+    const name = parseLocalizedText(data, parsed.headers, "name");
     const typeIdentifier = normalizeIdentifier(data.type_identifier);
     const parentIdentifier = normalizeIdentifier(data.parent_identifier);
 
@@ -860,8 +1722,15 @@ function parseItemSheet(
       return;
     }
 
-    if (!name) {
-      addIssue(issues, "error", sheetName, rowNumber, "name_en", "name_en is required");
+    if (!name[config.defaultLanguage]) {
+      addIssue(
+        issues,
+        "error",
+        sheetName,
+        rowNumber,
+        `name_${config.defaultLanguage}`,
+        `name_${config.defaultLanguage} is required`,
+      );
       return;
     }
 
@@ -870,7 +1739,7 @@ function parseItemSheet(
       return;
     }
 
-    if (seenItemIdentifiers.has(identifier)) {
+    if (itemLocations.has(identifier)) {
       addIssue(
         issues,
         "error",
@@ -882,7 +1751,7 @@ function parseItemSheet(
       return;
     }
 
-    seenItemIdentifiers.add(identifier);
+    itemLocations.set(identifier, { sheet: sheetName, row: rowNumber });
 
     if (!typeMap.has(typeIdentifier)) {
       addIssue(
@@ -892,6 +1761,7 @@ function parseItemSheet(
         rowNumber,
         "type_identifier",
         `Type '${typeIdentifier}' is not in Types sheet. It must already exist in PIM.`,
+        { kind: "type", identifier: typeIdentifier },
       );
     }
 
@@ -922,7 +1792,7 @@ function parseItemSheet(
 
     if (
       parentIdentifier &&
-      !seenItemIdentifiers.has(parentIdentifier) &&
+      !itemLocations.has(parentIdentifier) &&
       !declaredItemIdentifiers.has(parentIdentifier)
     ) {
       addIssue(
@@ -932,6 +1802,7 @@ function parseItemSheet(
         rowNumber,
         "parent_identifier",
         `Parent item '${parentIdentifier}' is not declared in workbook. It must already exist in PIM.`,
+        { kind: "item", identifier: parentIdentifier },
       );
     }
 
@@ -949,22 +1820,54 @@ function parseItemSheet(
 
     const values = { ...valuesParsed.value };
 
-    for (const [valueKey, valueRaw] of Object.entries(valuesParsed.value)) {
+    const transform = (value, attributeIdentifier, field) => {
+      const rules = valueRules.get(attributeIdentifier);
+      if (!rules) {
+        return value;
+      }
+
+      const list =
+        attributeMap.get(attributeIdentifier)?.multiValued && typeof value === "string"
+          ? splitListValue(value, config)
+          : null;
+      const input = list?.ok ? list.value : value;
+      const transformed = applyValueRules(input, rules);
+      if (JSON.stringify(transformed) === JSON.stringify(input)) {
+        return value;
+      }
+
+      transformations.count += 1;
+      if (transformations.samples.length < MAX_TRANSFORMATION_SAMPLES) {
+        transformations.samples.push({
+          sheet: sheetName,
+          row: rowNumber,
+          field,
+          before: value,
+          after: transformed,
+        });
+      }
+      return transformed;
+    };
+
+    for (const [valueKey, originalValue] of Object.entries(valuesParsed.value)) {
       const attributeIdentifier = normalizeIdentifier(valueKey);
       const attribute = attributeMap.get(attributeIdentifier);
+      const valueRaw = transform(originalValue, attributeIdentifier, `values_json.${valueKey}`);
       if (!attribute) {
         addIssue(
           issues,
           "error",
           sheetName,
           rowNumber,
-          "values_json",
-          `values_json contains unknown attribute '${valueKey}'`,
+          `values_json.${valueKey}`,
+          `Attribute '${attributeIdentifier}' is not defined in Attributes sheet. Check references against PIM if it already exists there.`,
+          { kind: "attribute", identifier: attributeIdentifier },
         );
+        values[attributeIdentifier] = valueRaw;
         continue;
       }
 
-      const coerced = coerceAttributeValue(valueRaw, attribute, config.defaultLanguage);
+      const coerced = coerceAttributeValue(valueRaw, attribute, config);
       if (!coerced.ok) {
         addIssue(
           issues,
@@ -977,18 +1880,24 @@ function parseItemSheet(
         continue;
       }
 
+      if (coerced.warning) {
+        addIssue(issues, "warning", sheetName, rowNumber, `values_json.${valueKey}`, coerced.warning);
+      }
+
       if (!coerced.skip) {
         values[attributeIdentifier] = coerced.value;
       }
     }
 
+    const languageColumns = new Map();
     for (const header of attrHeaders) {
-      const attributeIdentifier = normalizeIdentifier(header.slice(5));
+      const { attributeIdentifier, language } = parseAttributeHeader(header);
       if (!attributeIdentifier) {
         continue;
       }
 
-      if (isBlank(data[header])) {
+      const cellValue = transform(data[header], attributeIdentifier, header);
+      if (isBlank(cellValue)) {
         continue;
       }
 
@@ -1000,12 +1909,77 @@ function parseItemSheet(
           sheetName,
           rowNumber,
           header,
-          `Unknown attribute '${attributeIdentifier}'`,
+          `Attribute '${attributeIdentifier}' is not defined in Attributes sheet. Check references against PIM if it already exists there.`,
+          { kind: "attribute", identifier: attributeIdentifier },
+        );
+        const current = values[attributeIdentifier];
+        values[attributeIdentifier] =
+          language === null
+            ? cellValue
+            : {
+                ...(current && typeof current === "object" && !Array.isArray(current) ? current : {}),
+                [language]: cellValue,
+              };
+        continue;
+      }
+
+      if (language !== null && !attribute.languageDependent) {
+        addIssue(
+          issues,
+          "error",
+          sheetName,
+          rowNumber,
+          header,
+          `Attribute '${attributeIdentifier}' is not language dependent, so it cannot have a @${language} column`,
+        );
+        continue;
+      }
+
+      if (language !== null && !LANGUAGE_PATTERN.test(language)) {
+        addIssue(
+          issues,
+          "error",
+          sheetName,
+          rowNumber,
+          header,
+          `Language '${language}' should look like en or en-us`,
         );
         continue;
       }
 
-      const coerced = coerceAttributeValue(data[header], attribute, config.defaultLanguage);
+      if (attribute.languageDependent) {
+        const columnLanguage = language ?? config.defaultLanguage;
+        const languageKey = `${attributeIdentifier}@${columnLanguage}`;
+        const otherHeader = languageColumns.get(languageKey);
+        if (otherHeader) {
+          addIssue(
+            issues,
+            "error",
+            sheetName,
+            rowNumber,
+            header,
+            `Columns '${otherHeader}' and '${header}' both set attribute '${attributeIdentifier}' for language '${columnLanguage}'`,
+          );
+          continue;
+        }
+        languageColumns.set(languageKey, header);
+      }
+
+      const typedCells = DATE_CELL_TYPE_CODES.has(attribute.type)
+        ? { ...numberCells, ...dateCells }
+        : attribute.type === 4
+          ? numberCells
+          : {};
+      const rawValue =
+        header in typedCells && cellValue === data[header] ? typedCells[header] : cellValue;
+
+      const coerced = coerceAttributeValue(
+        language !== null
+          ? { [language]: Array.isArray(rawValue) ? rawValue : toText(rawValue) }
+          : rawValue,
+        attribute,
+        config,
+      );
       if (!coerced.ok) {
         addIssue(
           issues,
@@ -1018,15 +1992,44 @@ function parseItemSheet(
         continue;
       }
 
-      if (!coerced.skip) {
-        values[attributeIdentifier] = coerced.value;
+      if (coerced.warning) {
+        addIssue(issues, "warning", sheetName, rowNumber, header, coerced.warning);
+      }
+
+      if (coerced.skip) {
+        continue;
+      }
+
+      const current = values[attributeIdentifier];
+      values[attributeIdentifier] =
+        attribute.languageDependent && current && typeof current === "object"
+          ? { ...current, ...coerced.value }
+          : coerced.value;
+    }
+
+    for (const [attributeIdentifier, value] of Object.entries(values)) {
+      const attribute = attributeMap.get(attributeIdentifier);
+      if (!attribute?.languageDependent || !value || typeof value !== "object") {
+        continue;
+      }
+
+      const missing = config.languages.filter((language) => isBlank(value[language]));
+      if (missing.length > 0) {
+        addIssue(
+          issues,
+          "warning",
+          sheetName,
+          rowNumber,
+          `attr:${attributeIdentifier}`,
+          `Missing translation for: ${missing.join(", ")}`,
+        );
       }
     }
 
     const request = {
       identifier,
       typeIdentifier,
-      name: { [config.defaultLanguage]: name },
+      name,
     };
 
     if (parentIdentifier) {
@@ -1047,28 +2050,530 @@ function parseItemSheet(
   return payload;
 }
 
+function parseItemRelations(workbook, itemLocations, declaredItemIdentifiers, issues) {
+  const parsed = parseSheetWithHeaders(
+    workbook,
+    SHEETS.ITEM_RELATIONS,
+    ITEM_RELATION_REQUIRED_HEADERS,
+  );
+  if (!parsed.exists) {
+    return { payload: [], rowNumbers: new Map() };
+  }
+
+  if (parsed.missingHeaders.length > 0) {
+    parsed.missingHeaders.forEach((header) => {
+      addIssue(issues, "error", SHEETS.ITEM_RELATIONS, 1, header, "Missing required header");
+    });
+    return { payload: [], rowNumbers: new Map() };
+  }
+
+  const rowNumbers = new Map();
+  const links = new Set();
+  const reportedRelations = new Set();
+  const payload = [];
+
+  const checkItem = (identifier, field, rowNumber) => {
+    if (itemLocations.has(identifier)) {
+      return;
+    }
+    addIssue(
+      issues,
+      "warning",
+      SHEETS.ITEM_RELATIONS,
+      rowNumber,
+      field,
+      declaredItemIdentifiers.has(identifier)
+        ? `Item '${identifier}' has errors in its sheet. It must already exist in PIM.`
+        : `Item '${identifier}' is not declared in workbook. It must already exist in PIM.`,
+      { kind: "item", identifier },
+    );
+  };
+
+  parsed.rows.forEach(({ rowNumber, data }) => {
+    if (!rowHasAnyValue(data, ITEM_RELATION_HEADERS)) {
+      return;
+    }
+
+    const sourceIdentifier = normalizeIdentifier(data.source_identifier);
+    const relationIdentifier = normalizeIdentifier(data.relation_identifier);
+    const targetIdentifier = normalizeIdentifier(data.target_identifier);
+
+    for (const [field, value] of [
+      ["source_identifier", sourceIdentifier],
+      ["relation_identifier", relationIdentifier],
+      ["target_identifier", targetIdentifier],
+    ]) {
+      if (!value) {
+        addIssue(issues, "error", SHEETS.ITEM_RELATIONS, rowNumber, field, `${field} is required`);
+        return;
+      }
+    }
+
+    if (sourceIdentifier === targetIdentifier) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_RELATIONS,
+        rowNumber,
+        "target_identifier",
+        "An item cannot be related to itself",
+      );
+      return;
+    }
+
+    const link = `${sourceIdentifier}|${relationIdentifier}|${targetIdentifier}`;
+    if (links.has(link)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_RELATIONS,
+        rowNumber,
+        "target_identifier",
+        `Duplicate relation '${relationIdentifier}' from '${sourceIdentifier}' to '${targetIdentifier}'`,
+      );
+      return;
+    }
+
+    const identifier =
+      normalizeIdentifier(data.identifier) ||
+      `${sourceIdentifier}_${relationIdentifier}_${targetIdentifier}`;
+    if (rowNumbers.has(identifier)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_RELATIONS,
+        rowNumber,
+        "identifier",
+        "Duplicate item relation identifier",
+      );
+      return;
+    }
+
+    let order;
+    if (!isBlank(data.order)) {
+      const parsedOrder = parseInteger(data.order);
+      if (!parsedOrder.ok) {
+        addIssue(issues, "error", SHEETS.ITEM_RELATIONS, rowNumber, "order", parsedOrder.error);
+        return;
+      }
+      order = parsedOrder.value;
+    }
+
+    const valuesParsed = parseJsonObject(data.values_json, true);
+    if (!valuesParsed.ok) {
+      addIssue(issues, "error", SHEETS.ITEM_RELATIONS, rowNumber, "values_json", valuesParsed.error);
+      return;
+    }
+
+    checkItem(sourceIdentifier, "source_identifier", rowNumber);
+    checkItem(targetIdentifier, "target_identifier", rowNumber);
+
+    if (!reportedRelations.has(relationIdentifier)) {
+      reportedRelations.add(relationIdentifier);
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ITEM_RELATIONS,
+        rowNumber,
+        "relation_identifier",
+        `Relation '${relationIdentifier}' must already exist in PIM.`,
+        { kind: "relation", identifier: relationIdentifier },
+      );
+    }
+
+    const request = {
+      identifier,
+      relationIdentifier,
+      itemIdentifier: sourceIdentifier,
+      targetIdentifier,
+    };
+
+    if (order !== undefined) request.order = order;
+    if (Object.keys(valuesParsed.value).length > 0) request.values = valuesParsed.value;
+
+    links.add(link);
+    rowNumbers.set(identifier, rowNumber);
+    payload.push(request);
+  });
+
+  return { payload, rowNumbers };
+}
+
+function toAssetIdentifier(...parts) {
+  return parts
+    .join("_")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "_");
+}
+
+function parseItemAssets(
+  workbook,
+  itemLocations,
+  declaredItemIdentifiers,
+  attributeMap,
+  assetFiles,
+  issues,
+) {
+  const parsed = parseSheetWithHeaders(workbook, SHEETS.ITEM_ASSETS, ITEM_ASSET_REQUIRED_HEADERS);
+  const availableFiles = new Map(
+    (assetFiles || []).map((fileName) => [fileName.toLowerCase(), fileName]),
+  );
+  const referencedFiles = new Set();
+  const rowNumbers = new Map();
+  const payload = [];
+
+  if (parsed.exists && parsed.missingHeaders.length > 0) {
+    parsed.missingHeaders.forEach((header) => {
+      addIssue(issues, "error", SHEETS.ITEM_ASSETS, 1, header, "Missing required header");
+    });
+    return { payload, rowNumbers };
+  }
+
+  const reportedRelations = new Set();
+
+  parsed.rows.forEach(({ rowNumber, data }) => {
+    if (!rowHasAnyValue(data, ITEM_ASSET_HEADERS)) {
+      return;
+    }
+
+    const fileName = toText(data.file_name);
+    const itemIdentifier = normalizeIdentifier(data.item_identifier);
+    const attributeIdentifier = normalizeIdentifier(data.attribute_identifier);
+    const relationIdentifier = normalizeIdentifier(data.relation_identifier);
+
+    if (!fileName) {
+      addIssue(issues, "error", SHEETS.ITEM_ASSETS, rowNumber, "file_name", "file_name is required");
+      return;
+    }
+
+    if (!itemIdentifier) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "item_identifier",
+        "item_identifier is required",
+      );
+      return;
+    }
+
+    if (Boolean(attributeIdentifier) === Boolean(relationIdentifier)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "attribute_identifier",
+        "Fill exactly one of attribute_identifier or relation_identifier",
+      );
+      return;
+    }
+
+    referencedFiles.add(fileName.toLowerCase());
+    const storedName = availableFiles.get(fileName.toLowerCase());
+    if (!storedName) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "file_name",
+        `File '${fileName}' is not among the selected asset files`,
+      );
+      return;
+    }
+
+    if (attributeIdentifier && !attributeMap.has(attributeIdentifier)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "attribute_identifier",
+        `Attribute '${attributeIdentifier}' is not defined in Attributes sheet. Check references against PIM if it already exists there.`,
+        { kind: "attribute", identifier: attributeIdentifier },
+      );
+    }
+
+    const identifier = toAssetIdentifier(
+      itemIdentifier,
+      attributeIdentifier || relationIdentifier,
+      storedName,
+    );
+    if (rowNumbers.has(identifier)) {
+      addIssue(
+        issues,
+        "error",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "file_name",
+        `File '${storedName}' is already linked to '${itemIdentifier}' the same way`,
+      );
+      return;
+    }
+
+    if (!itemLocations.has(itemIdentifier)) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "item_identifier",
+        declaredItemIdentifiers.has(itemIdentifier)
+          ? `Item '${itemIdentifier}' has errors in its sheet. It must already exist in PIM.`
+          : `Item '${itemIdentifier}' is not declared in workbook. It must already exist in PIM.`,
+        { kind: "item", identifier: itemIdentifier },
+      );
+    }
+
+    if (relationIdentifier && !reportedRelations.has(relationIdentifier)) {
+      reportedRelations.add(relationIdentifier);
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ITEM_ASSETS,
+        rowNumber,
+        "relation_identifier",
+        `Relation '${relationIdentifier}' must already exist in PIM.`,
+        { kind: "relation", identifier: relationIdentifier },
+      );
+    }
+
+    const request = { identifier, itemIdentifier, fileName: storedName };
+    if (attributeIdentifier) request.attributeIdentifier = attributeIdentifier;
+    if (relationIdentifier) request.relationIdentifier = relationIdentifier;
+
+    rowNumbers.set(identifier, rowNumber);
+    payload.push(request);
+  });
+
+  availableFiles.forEach((fileName, key) => {
+    if (!referencedFiles.has(key)) {
+      addIssue(
+        issues,
+        "warning",
+        SHEETS.ITEM_ASSETS,
+        null,
+        "file_name",
+        `Asset file '${fileName}' is not referenced in ${SHEETS.ITEM_ASSETS} and will not be uploaded`,
+      );
+    }
+  });
+
+  return { payload, rowNumbers };
+}
+
+const METADATA_SHEET_HEADERS = {
+  [SHEETS.CONFIG]: CONFIG_HEADERS,
+  [SHEETS.GROUPS]: GROUP_HEADERS,
+  [SHEETS.LOVS]: LOV_HEADERS,
+  [SHEETS.ATTRIBUTES]: ATTRIBUTE_HEADERS,
+  [SHEETS.TYPES]: TYPE_HEADERS,
+  [SHEETS.TYPE_GROUP_BINDINGS]: TYPE_GROUP_BINDING_HEADERS,
+  [SHEETS.VALUE_RULES]: VALUE_RULE_HEADERS,
+  [SHEETS.ITEM_RELATIONS]: ITEM_RELATION_HEADERS,
+  [SHEETS.ITEM_ASSETS]: ITEM_ASSET_HEADERS,
+};
+
+function isLocalizedHeader(header, prefix) {
+  return header.startsWith(`${prefix}_`) && LANGUAGE_PATTERN.test(header.slice(prefix.length + 1));
+}
+
+function isKnownHeader(sheetName, header) {
+  const metadataHeaders = METADATA_SHEET_HEADERS[sheetName];
+  if (header === ISSUES_HEADER || (metadataHeaders || ITEM_BASE_HEADERS).includes(header)) {
+    return true;
+  }
+  if (isLocalizedHeader(header, "name")) {
+    return true;
+  }
+  if (sheetName === SHEETS.LOVS) {
+    return isLocalizedHeader(header, "label");
+  }
+  return !metadataHeaders && header.startsWith("attr:");
+}
+
+export function describeWorkbookHeaders(workbook) {
+  return (workbook.SheetNames || [])
+    .filter((sheetName) => sheetName !== SHEETS.README)
+    .map((sheetName) => ({
+      sheet: sheetName,
+      headers: readSheetHeaders(workbook, sheetName)
+        .filter((header) => header)
+        .map((header) => ({ name: header, known: isKnownHeader(sheetName, header) })),
+      targets: METADATA_SHEET_HEADERS[sheetName] || ITEM_BASE_HEADERS,
+      productSheet: !METADATA_SHEET_HEADERS[sheetName] && sheetName !== SHEETS.ITEM_PARENTS,
+    }));
+}
+
+export function listWorkbookAttributes(workbook) {
+  const { rows } = parseSheetWithHeaders(workbook, SHEETS.ATTRIBUTES, []);
+  return [
+    ...new Set(rows.map((row) => normalizeIdentifier(row.data.identifier)).filter(Boolean)),
+  ].sort();
+}
+
+function applySheetMapping(sheetName, sheet, { columns = {}, constants = [] }, issues) {
+  if (!sheet?.["!ref"]) {
+    return;
+  }
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const columnByHeader = new Map();
+  const sourceByHeader = new Map();
+
+  for (let column = range.s.c; column <= range.e.c; column += 1) {
+    const address = XLSX.utils.encode_cell({ r: range.s.r, c: column });
+    const header = toText(sheet[address]?.v);
+    const target = toText(columns[header]);
+    const mappedHeader = target || header;
+    if (!mappedHeader) {
+      continue;
+    }
+
+    if (columnByHeader.has(mappedHeader)) {
+      if (!target && sourceByHeader.get(mappedHeader) === header) {
+        continue;
+      }
+      addIssue(
+        issues,
+        "error",
+        sheetName,
+        range.s.r + 1,
+        header,
+        `Column '${header}' and column '${sourceByHeader.get(mappedHeader)}' both map to '${mappedHeader}'`,
+      );
+      continue;
+    }
+
+    if (target) {
+      sheet[address] = { t: "s", v: target };
+    }
+    columnByHeader.set(mappedHeader, column);
+    sourceByHeader.set(mappedHeader, header);
+  }
+
+  const filledRows = [];
+  for (let row = range.s.r + 1; row <= range.e.r; row += 1) {
+    for (let column = range.s.c; column <= range.e.c; column += 1) {
+      if (!isBlank(sheet[XLSX.utils.encode_cell({ r: row, c: column })]?.v)) {
+        filledRows.push(row);
+        break;
+      }
+    }
+  }
+
+  let lastColumn = range.e.c;
+  constants.forEach(({ target, value }) => {
+    const header = toText(target);
+    if (!header || isBlank(value)) {
+      return;
+    }
+
+    let column = columnByHeader.get(header);
+    if (column === undefined) {
+      lastColumn += 1;
+      column = lastColumn;
+      columnByHeader.set(header, column);
+      sheet[XLSX.utils.encode_cell({ r: range.s.r, c: column })] = { t: "s", v: header };
+    }
+
+    filledRows.forEach((row) => {
+      const address = XLSX.utils.encode_cell({ r: row, c: column });
+      if (isBlank(sheet[address]?.v)) {
+        sheet[address] = { t: "s", v: String(value) };
+      }
+    });
+  });
+
+  sheet["!ref"] = XLSX.utils.encode_range({ s: range.s, e: { r: range.e.r, c: lastColumn } });
+}
+
+export function applyColumnMapping(workbook, mapping, issues) {
+  Object.entries(mapping || {}).forEach(([sheetName, sheetMapping]) => {
+    applySheetMapping(sheetName, workbook.Sheets[sheetName], sheetMapping || {}, issues);
+  });
+  return workbook;
+}
+
+function toSourceIndex(sheet, rowNumbers) {
+  const index = {};
+  rowNumbers.forEach((row, identifier) => {
+    index[identifier] = { sheet, row };
+  });
+  return index;
+}
+
 function splitIssues(issues) {
   const errors = issues.filter((issue) => issue.severity === "error");
   const warnings = issues.filter((issue) => issue.severity === "warning");
   return { errors, warnings };
 }
 
-export function parseAndValidateImportWorkbook(arrayBuffer) {
-  const workbook = XLSX.read(arrayBuffer, { type: "array" });
+export function parseAndValidateImportWorkbook(arrayBuffer, options = {}) {
+  options.onProgress?.({ stage: "reading" });
+  const workbook = XLSX.read(arrayBuffer, { type: "array", cellNF: true });
+  return validateImportWorkbook(workbook, options);
+}
+
+export function validateImportWorkbook(workbook, options = {}) {
+  const onProgress = options.onProgress || (() => {});
   const issues = [];
 
+  applyColumnMapping(workbook, options.columnMapping, issues);
+
   ensureRequiredSheets(workbook, issues);
 
   const config = parseConfig(workbook, issues);
+  const productSheets = resolveProductSheets(workbook, config, issues);
+
+  const progressSheets = [
+    SHEETS.GROUPS,
+    SHEETS.LOVS,
+    SHEETS.TYPES,
+    SHEETS.TYPE_GROUP_BINDINGS,
+    SHEETS.ATTRIBUTES,
+    SHEETS.ITEM_PARENTS,
+    ...productSheets,
+    SHEETS.ITEM_RELATIONS,
+    SHEETS.ITEM_ASSETS,
+  ];
+
+  const reportSheetProgress = (sheet, row = 0, rowCount = 0) => {
+    onProgress({
+      stage: "validating",
+      sheet,
+      sheetIndex: progressSheets.indexOf(sheet),
+      sheetCount: progressSheets.length,
+      row,
+      rowCount,
+    });
+  };
 
-  const { payload: attrGroups, byIdentifier: groupMap } = parseAttributeGroups(
+  reportSheetProgress(SHEETS.GROUPS);
+  const {
+    payload: attrGroups,
+    byIdentifier: groupMap,
+    rowNumbers: groupRows,
+  } = parseAttributeGroups(
     workbook,
     config,
     issues,
   );
 
-  const { payload: types, byIdentifier: typeMap } = parseTypes(workbook, config, issues);
+  reportSheetProgress(SHEETS.LOVS);
+  const { payload: lovs, rowNumbers: lovRows } = parseLovs(workbook, config, issues);
+  const lovMap = buildLovMap([...(options.lovs || []), ...lovs]);
 
+  reportSheetProgress(SHEETS.TYPES);
+  const {
+    payload: types,
+    byIdentifier: typeMap,
+    rowNumbers: typeRows,
+  } = parseTypes(workbook, config, issues);
+
+  reportSheetProgress(SHEETS.TYPE_GROUP_BINDINGS);
   const bindingMap = parseTypeGroupBindings(
     workbook,
     new Set(groupMap.keys()),
@@ -1076,42 +2581,82 @@ export function parseAndValidateImportWorkbook(arrayBuffer) {
     issues,
   );
 
-  const { payload: attributes, byIdentifier: attributeMap } = parseAttributes(
+  reportSheetProgress(SHEETS.ATTRIBUTES);
+  const {
+    payload: attributes,
+    byIdentifier: attributeMap,
+    rowNumbers: attributeRows,
+  } = parseAttributes(
     workbook,
     config,
     groupMap,
     typeMap,
     bindingMap,
+    lovMap,
     issues,
   );
 
-  const seenItemIdentifiers = new Set();
-  const declaredItemIdentifiers = collectDeclaredItemIdentifiers(workbook);
+  const valueRules = parseValueRules(workbook, attributeMap, options.valueRules, issues);
+  const transformations = { count: 0, samples: [] };
 
-  const parentItems = parseItemSheet(
-    workbook,
-    SHEETS.ITEM_PARENTS,
-    config,
-    attributeMap,
-    typeMap,
-    seenItemIdentifiers,
-    declaredItemIdentifiers,
-    issues,
-  );
+  const itemLocations = new Map();
+  const declaredItemIdentifiers = collectDeclaredItemIdentifiers(workbook, config, productSheets);
 
-  const productItems = PRODUCT_SHEETS.flatMap((sheetName) =>
-    parseItemSheet(
+  const parseItems = (sheetName) => {
+    reportSheetProgress(sheetName);
+    return parseItemSheet(
       workbook,
       sheetName,
       config,
       attributeMap,
       typeMap,
-      seenItemIdentifiers,
+      itemLocations,
       declaredItemIdentifiers,
+      valueRules,
+      transformations,
+      issues,
+      (row, rowCount) => reportSheetProgress(sheetName, row, rowCount),
+    );
+  };
+
+  const parentItems = parseItems(SHEETS.ITEM_PARENTS);
+  const productItems = productSheets.flatMap(parseItems);
+  const items = orderParentsFirst([...parentItems, ...productItems]);
+
+  const itemParents = new Map(items.map((item) => [item.identifier, item.parentIdentifier]));
+  findParentCycles(itemParents).forEach((cycle) => {
+    const path = formatCyclePath(cycle, (identifier) => {
+      const location = itemLocations.get(identifier);
+      return `${identifier} (${location.sheet}:row ${location.row})`;
+    });
+    const start = itemLocations.get(cycle[0]);
+    addIssue(
       issues,
-    ),
+      "error",
+      start.sheet,
+      start.row,
+      "parent_identifier",
+      `Item parent hierarchy contains a cycle (child -> parent): ${path}`,
+    );
+  });
+
+  reportSheetProgress(SHEETS.ITEM_RELATIONS);
+  const { payload: relations, rowNumbers: relationRows } = parseItemRelations(
+    workbook,
+    itemLocations,
+    declaredItemIdentifiers,
+    issues,
+  );
+
+  reportSheetProgress(SHEETS.ITEM_ASSETS);
+  const { payload: assets, rowNumbers: assetRows } = parseItemAssets(
+    workbook,
+    itemLocations,
+    declaredItemIdentifiers,
+    attributeMap,
+    options.assetFiles,
+    issues,
   );
-  const items = [...parentItems, ...productItems];
 
   const { errors, warnings } = splitIssues(issues);
 
@@ -1121,23 +2666,45 @@ export function parseAndValidateImportWorkbook(arrayBuffer) {
       errors: config.errors,
     },
     attrGroups,
+    lovs,
     attributes,
-    types,
+    types: orderParentsFirst(types),
     items,
+    relations,
+    assets,
   };
 
   const summary = {
     attrGroups: attrGroups.length,
+    lovs: lovs.length,
     attributes: attributes.length,
     types: types.length,
     items: items.length,
+    relations: relations.length,
+    assets: assets.length,
+    productSheets: productSheets.length,
+    transformedValues: transformations.count,
     errors: errors.length,
     warnings: warnings.length,
   };
 
+  const sources = {
+    attrGroups: toSourceIndex(SHEETS.GROUPS, groupRows),
+    lovs: toSourceIndex(SHEETS.LOVS, lovRows),
+    types: toSourceIndex(SHEETS.TYPES, typeRows),
+    attributes: toSourceIndex(SHEETS.ATTRIBUTES, attributeRows),
+    items: Object.fromEntries(itemLocations),
+    relations: toSourceIndex(SHEETS.ITEM_RELATIONS, relationRows),
+    assets: toSourceIndex(SHEETS.ITEM_ASSETS, assetRows),
+  };
+
   return {
     payload,
     summary,
+    sources,
+    productSheets,
+    workbookId: config.workbookId,
+    transformations: transformations.samples,
     errors,
     warnings,
     valid: errors.length === 0,
@@ -1,6 +1,6 @@
 import * as XLSX from "xlsx";
 
-export const PRODUCT_SHEETS = [
+export const SAMPLE_PRODUCT_SHEETS = [
   "TCT_Router_Bit",
   "Insert_Tool",
   "Countersink",
@@ -10,14 +10,20 @@ export const SHEETS = {
   README: "README",
   CONFIG: "Import_Config",
   GROUPS: "Attribute_Groups",
+  LOVS: "LOVs",
   ATTRIBUTES: "Attributes",
   TYPES: "Types",
   TYPE_GROUP_BINDINGS: "Type_Group_Bindings",
   ITEM_PARENTS: "Item_Parents",
+  VALUE_RULES: "Value_Rules",
+  ITEM_RELATIONS: "Item_Relations",
+  ITEM_ASSETS: "Item_Assets",
 };
 
 export const CONFIG_HEADERS = ["key", "value"];
 
+export const ISSUES_HEADER = "__issues";
+
 export const GROUP_HEADERS = [
   "identifier",
   "name_en",
@@ -26,6 +32,8 @@ export const GROUP_HEADERS = [
   "options_json",
 ];
 
+export const LOV_HEADERS = ["identifier", "name_en", "value_id", "label_en"];
+
 export const ATTRIBUTE_HEADERS = [
   "identifier",
   "name_en",
@@ -40,8 +48,13 @@ export const ATTRIBUTE_HEADERS = [
   "options_json",
   "valid_types_csv",
   "visible_types_csv",
+  "multi_valued",
 ];
 
+export const ATTRIBUTE_REQUIRED_HEADERS = ATTRIBUTE_HEADERS.filter(
+  (header) => header !== "multi_valued",
+);
+
 export const TYPE_HEADERS = [
   "identifier",
   "name_en",
@@ -67,8 +80,40 @@ export const ITEM_BASE_HEADERS = [
   "channels_json",
 ];
 
+export const ITEM_REQUIRED_HEADERS = ["identifier", "name_en", "type_identifier"];
+
+export function withDefaultLanguageHeaders(headers, defaultLanguage = "en") {
+  return headers.map((header) => header.replace(/^(name|label)_en$/, `$1_${defaultLanguage}`));
+}
+
 export const ITEM_PARENT_HEADERS = [...ITEM_BASE_HEADERS];
 
+export const VALUE_RULE_HEADERS = ["attribute_identifier", "rule", "from", "to"];
+
+export const ITEM_RELATION_HEADERS = [
+  "identifier",
+  "source_identifier",
+  "relation_identifier",
+  "target_identifier",
+  "order",
+  "values_json",
+];
+
+export const ITEM_RELATION_REQUIRED_HEADERS = [
+  "source_identifier",
+  "relation_identifier",
+  "target_identifier",
+];
+
+export const ITEM_ASSET_HEADERS = [
+  "file_name",
+  "item_identifier",
+  "attribute_identifier",
+  "relation_identifier",
+];
+
+export const ITEM_ASSET_REQUIRED_HEADERS = ["file_name", "item_identifier"];
+
 export const PRODUCT_HEADERS = [
   ...ITEM_BASE_HEADERS,
   "attr:cutting_diameter",
@@ -90,21 +135,32 @@ function addSheet(workbook, name, rows) {
   XLSX.utils.book_append_sheet(workbook, sheet, name);
 }
 
-export function createImportTemplateWorkbook() {
-  const workbook = XLSX.utils.book_new();
-
+function addReadmeSheet(workbook, productSheetNames, title) {
   addSheet(workbook, SHEETS.README, [
-    ["PIM Excel Import Template"],
+    [title],
     [""],
-    ["Required product sheets:"],
-    [PRODUCT_SHEETS.join(", ")],
+    ["Product sheets:"],
+    [
+      "Any sheet whose header row contains the required item columns is imported as a product sheet.",
+    ],
+    [`Item base columns: ${ITEM_BASE_HEADERS.join(", ")}`],
+    [
+      `Required item columns: ${withDefaultLanguageHeaders(ITEM_REQUIRED_HEADERS, "<default_language>").join(", ")}`,
+    ],
+    [
+      "Sheets can also be listed explicitly in Import_Config key product_sheets (comma separated).",
+    ],
+    [`Product sheets in this file: ${productSheetNames.join(", ")}`],
     [""],
     ["Fill metadata sheets first:"],
     [SHEETS.GROUPS],
+    [SHEETS.LOVS],
     [SHEETS.ATTRIBUTES],
     [SHEETS.TYPES],
     [SHEETS.TYPE_GROUP_BINDINGS],
     [SHEETS.ITEM_PARENTS],
+    [`${SHEETS.ITEM_RELATIONS} (optional)`],
+    [`${SHEETS.ITEM_ASSETS} (optional)`],
     [""],
     ["Rules:"],
     ["1) All identifiers must be unique and stable."],
@@ -122,16 +178,72 @@ export function createImportTemplateWorkbook() {
       "7) Type_Group_Bindings sheet is used to propagate type visibility/validity to attributes by group.",
     ],
     [
-      "8) Item_Parents rows are imported before product sheets so product rows can reference them.",
+      "8) Types and items are imported parents first, so rows and sheets can be in any order. Use Item_Parents for items that only group products.",
+    ],
+    [
+      "9) Names in more languages go into name_<lang> columns (name_de, name_fr, ...) on any sheet.",
+    ],
+    [
+      "10) Language-dependent values per language go into attr:<attribute_identifier>@<lang> columns; a plain attr: column is the default language, so do not combine it with @<default_language>.",
+    ],
+    [
+      "11) Import_Config key languages lists the expected languages; missing translations are reported as warnings.",
+    ],
+    [
+      "12) LOVs sheet: one row per value (identifier, value_id, label_<lang>); a row without value_id and labels declares an empty LOV. ENUM attributes reference it through lov_identifier.",
+    ],
+    [
+      `13) The ${ISSUES_HEADER} column written by "Download workbook with errors" is ignored on import.`,
+    ],
+    [
+      "14) Import_Config key workbook_id names the workbook for delta pushes; the file name is used when it is empty.",
+    ],
+    [
+      "15) Optional Value_Rules sheet transforms attribute values before validation, in row order per attribute:",
+    ],
+    [
+      "    convert (from/to unit: mm, cm, m, in, ft, g, kg, lb, oz), multiply (factor in from), replace (regex in from, replacement in to),",
+    ],
+    [
+      "    lookup (from value -> to value, case-insensitive), default (to is used when the cell is blank), extract_number (takes the first number).",
+    ],
+    [
+      '16) FLOAT attributes with a unit in options_json (e.g. {"unit":"mm"}) accept values such as 12.7mm, 1/2 in or 0.5", converted to that unit.',
+    ],
+    [
+      "17) Decimal commas (12,7) are accepted. Values like 1,234 are ambiguous and reported as warnings unless Import_Config key decimal_separator is . or ,.",
+    ],
+    [
+      "18) Attributes with multi_valued TRUE take several values: a JSON array or a list separated by Import_Config key list_separator (default ;). Each value is checked against type_code.",
+    ],
+    [
+      "19) Item_Relations links items (accessories, spare parts, replacements): source_identifier, relation_identifier and target_identifier are required; identifier defaults to source_relation_target.",
+    ],
+    [
+      "20) Item_Assets links files selected under Asset files (images, PDFs or a zip) to items, through attribute_identifier or relation_identifier (one of them per row).",
     ],
   ]);
+}
 
+function addConfigSheet(workbook, defaultLanguage) {
   addSheet(workbook, SHEETS.CONFIG, [
     CONFIG_HEADERS,
     ["mode", "CREATE_UPDATE"],
     ["errors", "PROCESS_WARN"],
-    ["default_language", "en"],
+    ["default_language", defaultLanguage],
+    ["languages", defaultLanguage],
+    ["product_sheets", ""],
+    ["workbook_id", ""],
+    ["decimal_separator", ""],
+    ["list_separator", ";"],
   ]);
+}
+
+export function createImportTemplateWorkbook() {
+  const workbook = XLSX.utils.book_new();
+
+  addReadmeSheet(workbook, SAMPLE_PRODUCT_SHEETS, "PIM Excel Import Template");
+  addConfigSheet(workbook, "en");
 
   addSheet(workbook, SHEETS.GROUPS, [
     GROUP_HEADERS,
@@ -139,6 +251,13 @@ export function createImportTemplateWorkbook() {
     ["commercial", "Commercial Data", 20, "TRUE", "{}"],
   ]);
 
+  addSheet(workbook, SHEETS.LOVS, [
+    LOV_HEADERS,
+    ["coating_type", "Coating Type", 1, "TiN"],
+    ["coating_type", "", 2, "TiAlN"],
+    ["coating_type", "", 3, "Uncoated"],
+  ]);
+
   addSheet(workbook, SHEETS.ATTRIBUTES, [
     ATTRIBUTE_HEADERS,
     [
@@ -152,9 +271,10 @@ export function createImportTemplateWorkbook() {
       "FALSE",
       "",
       "",
-      "{}",
+      '{"unit":"mm"}',
       "",
       "",
+      "FALSE",
     ],
     [
       "material",
@@ -170,6 +290,7 @@ export function createImportTemplateWorkbook() {
       "{}",
       "",
       "",
+      "FALSE",
     ],
     [
       "is_coated",
@@ -185,6 +306,39 @@ export function createImportTemplateWorkbook() {
       "{}",
       "",
       "",
+      "FALSE",
+    ],
+    [
+      "coating",
+      "Coating",
+      7,
+      "commercial",
+      40,
+      "FALSE",
+      "FALSE",
+      "FALSE",
+      "",
+      "coating_type",
+      "{}",
+      "",
+      "",
+      "FALSE",
+    ],
+    [
+      "compatible_materials",
+      "Compatible Materials",
+      1,
+      "commercial",
+      50,
+      "FALSE",
+      "FALSE",
+      "FALSE",
+      "",
+      "",
+      "{}",
+      "",
+      "",
+      "TRUE",
     ],
   ]);
 
@@ -211,20 +365,32 @@ export function createImportTemplateWorkbook() {
     ["catalog_root_001", "Catalog Root 001", "product_type", "", "{}", "{}"],
   ]);
 
-  addSheet(workbook, PRODUCT_SHEETS[0], [
+  addSheet(workbook, SHEETS.VALUE_RULES, [
+    VALUE_RULE_HEADERS,
+    ["material", "lookup", "HM", "Carbide"],
+  ]);
+
+  addSheet(workbook, SHEETS.ITEM_RELATIONS, [
+    ITEM_RELATION_HEADERS,
+    ["", "insert_tool_001", "spare_parts", "router_bit_001", 1, "{}"],
+  ]);
+
+  addSheet(workbook, SHEETS.ITEM_ASSETS, [ITEM_ASSET_HEADERS]);
+
+  addSheet(workbook, SAMPLE_PRODUCT_SHEETS[0], [
     PRODUCT_HEADERS,
     [
       "router_bit_001",
       "Router Bit 001",
       "tct_router_bit",
       "catalog_root_001",
-      '{"material":"Carbide","is_coated":true}',
+      '{"material":"Carbide","is_coated":true,"compatible_materials":["Hardwood","MDF"]}',
       "{}",
       12.7,
     ],
   ]);
 
-  addSheet(workbook, PRODUCT_SHEETS[1], [
+  addSheet(workbook, SAMPLE_PRODUCT_SHEETS[1], [
     PRODUCT_HEADERS,
     [
       "insert_tool_001",
@@ -237,7 +403,7 @@ export function createImportTemplateWorkbook() {
     ],
   ]);
 
-  addSheet(workbook, PRODUCT_SHEETS[2], [
+  addSheet(workbook, SAMPLE_PRODUCT_SHEETS[2], [
     PRODUCT_HEADERS,
     [
       "countersink_001",
@@ -253,7 +419,338 @@ export function createImportTemplateWorkbook() {
   return workbook;
 }
 
+const SHEET_NAME_MAX_LENGTH = 31;
+
+function toSheetName(value, usedNames) {
+  const base = String(value)
+    .replace(/[\\/?*[\]:]/g, "_")
+    .slice(0, SHEET_NAME_MAX_LENGTH) || "Sheet";
+
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const tail = `_${suffix}`;
+    candidate = `${base.slice(0, SHEET_NAME_MAX_LENGTH - tail.length)}${tail}`;
+    suffix += 1;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function pickName(name, language) {
+  if (!name || typeof name !== "object") {
+    return name ? String(name) : "";
+  }
+  return name[language] || Object.values(name).find((value) => value) || "";
+}
+
+function toOptionsJson(options) {
+  if (options && typeof options === "object" && !Array.isArray(options)) {
+    return JSON.stringify(options);
+  }
+  return "{}";
+}
+
+function toFlag(value) {
+  return value ? "TRUE" : "FALSE";
+}
+
+function isLocalized(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function collectLanguages(values, defaultLanguage) {
+  const languages = new Set([defaultLanguage]);
+  values.forEach((value) => {
+    if (isLocalized(value)) {
+      Object.keys(value).forEach((language) => languages.add(language));
+    }
+  });
+  return [...languages];
+}
+
+function withLocalizedColumns(headers, prefix, languages) {
+  return headers.flatMap((header) =>
+    header === `${prefix}_en` ? languages.map((language) => `${prefix}_${language}`) : [header],
+  );
+}
+
+function toLocalizedCells(value, languages, defaultLanguage, fallback) {
+  return languages.map((language) => {
+    if (language === defaultLanguage) {
+      return pickName(value, language) || fallback;
+    }
+    return isLocalized(value) ? (value[language] ?? "") : "";
+  });
+}
+
+function toCellValue(value) {
+  return typeof value === "boolean" ? toFlag(value) : value;
+}
+
+function isCellValue(value) {
+  return ["string", "number", "boolean"].includes(typeof value);
+}
+
+function fitsAttributeColumns(attribute, value) {
+  if (!attribute.languageDependent) {
+    return isCellValue(value);
+  }
+  return (
+    isLocalized(value) &&
+    Object.values(value).every((entry) => entry === null || isCellValue(entry))
+  );
+}
+
+function hasListValue(item, attribute) {
+  const value = item.values?.[attribute.identifier];
+  return (
+    Array.isArray(value) ||
+    (isLocalized(value) && Object.values(value).some((entry) => Array.isArray(entry)))
+  );
+}
+
+function buildProductSheetRows(type, attributes, items, defaultLanguage) {
+  const typeAttributes = attributes
+    .filter((attribute) => attribute.valid.includes(type.identifier))
+    .sort((left, right) => (left.order ?? 0) - (right.order ?? 0));
+
+  const attributeColumns = typeAttributes.flatMap((attribute) => {
+    if (!attribute.languageDependent) {
+      return [{ header: `attr:${attribute.identifier}`, attribute }];
+    }
+
+    const languages = collectLanguages(
+      items.map((item) => item.values?.[attribute.identifier]),
+      defaultLanguage,
+    );
+    return languages.map((language) => ({
+      header:
+        languages.length === 1
+          ? `attr:${attribute.identifier}`
+          : `attr:${attribute.identifier}@${language}`,
+      attribute,
+      language: languages.length === 1 ? null : language,
+    }));
+  });
+
+  const nameLanguages = collectLanguages(
+    items.map((item) => item.name),
+    defaultLanguage,
+  );
+
+  const headers = [
+    ...withLocalizedColumns(ITEM_BASE_HEADERS, "name", nameLanguages),
+    ...attributeColumns.map((column) => column.header),
+  ];
+
+  const rows = items.map((item) => {
+    const values = { ...(item.values || {}) };
+
+    const attributeCells = attributeColumns.map(({ attribute, language }) => {
+      const value = values[attribute.identifier];
+      if (!fitsAttributeColumns(attribute, value)) {
+        return "";
+      }
+      const cell = attribute.languageDependent ? value[language ?? defaultLanguage] : value;
+      return toCellValue(cell ?? "");
+    });
+
+    typeAttributes.forEach((attribute) => {
+      if (fitsAttributeColumns(attribute, values[attribute.identifier])) {
+        delete values[attribute.identifier];
+      }
+    });
+
+    return [
+      item.identifier,
+      ...toLocalizedCells(item.name, nameLanguages, defaultLanguage, item.identifier),
+      item.typeIdentifier,
+      item.parentIdentifier || "",
+      toOptionsJson(values),
+      toOptionsJson(item.channels),
+      ...attributeCells,
+    ];
+  });
+
+  return [headers, ...rows];
+}
+
+function addLovRows(lovs, defaultLanguage) {
+  const nameLanguages = collectLanguages(
+    lovs.map((lov) => lov.name),
+    defaultLanguage,
+  );
+  const labelLanguages = collectLanguages(
+    lovs.flatMap((lov) => lov.values.map((entry) => entry?.value)),
+    defaultLanguage,
+  );
+
+  const headers = withLocalizedColumns(
+    withLocalizedColumns(LOV_HEADERS, "name", nameLanguages),
+    "label",
+    labelLanguages,
+  );
+
+  const rows = lovs.flatMap((lov) =>
+    lov.values.length === 0
+      ? [
+          [
+            lov.identifier,
+            ...toLocalizedCells(lov.name, nameLanguages, defaultLanguage, lov.identifier),
+            "",
+            ...labelLanguages.map(() => ""),
+          ],
+        ]
+      : lov.values.map((entry, index) => [
+          lov.identifier,
+          ...(index === 0
+            ? toLocalizedCells(lov.name, nameLanguages, defaultLanguage, lov.identifier)
+            : nameLanguages.map(() => "")),
+          entry.id,
+          ...toLocalizedCells(entry.value, labelLanguages, defaultLanguage, String(entry.id)),
+        ]),
+  );
+
+  return [headers, ...rows];
+}
+
+function buildPimWorkbook(snapshot, { title, productTypes, defaultLanguage }) {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set(Object.values(SHEETS).map((name) => name.toLowerCase()));
+  const items = snapshot.items || [];
+
+  const productSheets = productTypes.map((type) => ({
+    name: toSheetName(type.identifier, usedNames),
+    rows: buildProductSheetRows(
+      type,
+      snapshot.attributes,
+      items.filter((item) => item.typeIdentifier === type.identifier),
+      defaultLanguage,
+    ),
+  }));
+
+  addReadmeSheet(
+    workbook,
+    productSheets.map((sheet) => sheet.name),
+    title,
+  );
+  addConfigSheet(workbook, defaultLanguage);
+
+  const groupLanguages = collectLanguages(
+    snapshot.groups.map((group) => group.name),
+    defaultLanguage,
+  );
+  addSheet(workbook, SHEETS.GROUPS, [
+    withLocalizedColumns(GROUP_HEADERS, "name", groupLanguages),
+    ...snapshot.groups.map((group) => [
+      group.identifier,
+      ...toLocalizedCells(group.name, groupLanguages, defaultLanguage, group.identifier),
+      group.order ?? "",
+      group.visible === undefined || group.visible === null ? "" : toFlag(group.visible),
+      toOptionsJson(group.options),
+    ]),
+  ]);
+
+  addSheet(workbook, SHEETS.LOVS, addLovRows(snapshot.lovs || [], defaultLanguage));
+
+  const attributeLanguages = collectLanguages(
+    snapshot.attributes.map((attribute) => attribute.name),
+    defaultLanguage,
+  );
+  addSheet(workbook, SHEETS.ATTRIBUTES, [
+    withLocalizedColumns(ATTRIBUTE_HEADERS, "name", attributeLanguages),
+    ...snapshot.attributes.map((attribute) => [
+      attribute.identifier,
+      ...toLocalizedCells(
+        attribute.name,
+        attributeLanguages,
+        defaultLanguage,
+        attribute.identifier,
+      ),
+      attribute.type,
+      attribute.groups.join(","),
+      attribute.order ?? "",
+      toFlag(attribute.languageDependent),
+      toFlag(attribute.richText),
+      toFlag(attribute.multiLine),
+      attribute.pattern,
+      attribute.lov,
+      toOptionsJson(attribute.options),
+      attribute.valid.join(","),
+      attribute.visible.join(","),
+      toFlag(attribute.multiValued || items.some((item) => hasListValue(item, attribute))),
+    ]),
+  ]);
+
+  const typeLanguages = collectLanguages(
+    snapshot.types.map((type) => type.name),
+    defaultLanguage,
+  );
+  addSheet(workbook, SHEETS.TYPES, [
+    withLocalizedColumns(TYPE_HEADERS, "name", typeLanguages),
+    ...snapshot.types.map((type) => [
+      type.identifier,
+      ...toLocalizedCells(type.name, typeLanguages, defaultLanguage, type.identifier),
+      type.parentIdentifier,
+      type.icon,
+      type.iconColor,
+      toFlag(type.file),
+    ]),
+  ]);
+
+  addSheet(workbook, SHEETS.TYPE_GROUP_BINDINGS, [TYPE_GROUP_BINDING_HEADERS]);
+  addSheet(workbook, SHEETS.ITEM_PARENTS, [ITEM_PARENT_HEADERS]);
+  addSheet(workbook, SHEETS.VALUE_RULES, [VALUE_RULE_HEADERS]);
+  addSheet(workbook, SHEETS.ITEM_RELATIONS, [ITEM_RELATION_HEADERS]);
+  addSheet(workbook, SHEETS.ITEM_ASSETS, [ITEM_ASSET_HEADERS]);
+
+  productSheets.forEach((sheet) => {
+    addSheet(workbook, sheet.name, sheet.rows);
+  });
+
+  return workbook;
+}
+
+export function createSchemaImportTemplateWorkbook(metadata, defaultLanguage = "en") {
+  return buildPimWorkbook(
+    { ...metadata, lovs: [], items: [] },
+    {
+      title: "PIM Excel Import Template (generated from PIM metadata)",
+      productTypes: metadata.types,
+      defaultLanguage,
+    },
+  );
+}
+
+export function createExportWorkbook(snapshot, defaultLanguage = "en") {
+  const exportedTypes = new Set(snapshot.items.map((item) => item.typeIdentifier));
+  const knownTypes = new Set(snapshot.types.map((type) => type.identifier));
+
+  return buildPimWorkbook(snapshot, {
+    title: "PIM Excel Export (re-import with the Excel Import Pipeline)",
+    productTypes: [
+      ...snapshot.types.filter((type) => exportedTypes.has(type.identifier)),
+      ...[...exportedTypes]
+        .filter((identifier) => !knownTypes.has(identifier))
+        .map((identifier) => ({ identifier })),
+    ],
+    defaultLanguage,
+  });
+}
+
 export function downloadImportTemplate() {
   const workbook = createImportTemplateWorkbook();
   XLSX.writeFile(workbook, "PIM_Import_Template.xlsx");
 }
+
+export function downloadSchemaImportTemplate(metadata) {
+  const workbook = createSchemaImportTemplateWorkbook(metadata);
+  XLSX.writeFile(workbook, "PIM_Import_Template_Schema.xlsx");
+}
+
+export function downloadExportWorkbook(snapshot) {
+  const workbook = createExportWorkbook(snapshot);
+  XLSX.writeFile(workbook, "PIM_Export.xlsx");
+}
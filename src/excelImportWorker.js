@@ -0,0 +1,23 @@
+import { parseAndValidateImportSource, scanImportHeaders } from "./importSourceFormats.js";
+
+self.onmessage = (event) => {
+  const { task, buffer, format, lovs, columnMapping, valueRules, assetFiles } = event.data;
+
+  try {
+    if (task === "scan") {
+      self.postMessage({ type: "result", result: scanImportHeaders(buffer, format) });
+      return;
+    }
+
+    const validation = parseAndValidateImportSource(buffer, format, {
+      lovs,
+      columnMapping,
+      valueRules,
+      assetFiles,
+      onProgress: (progress) => self.postMessage({ type: "progress", progress }),
+    });
+    self.postMessage({ type: "result", result: validation });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,69 @@
+function describeProgress(progress) {
+  if (progress.stage === "reading") {
+    return { percent: 0, text: "Reading file..." };
+  }
+
+  const rowShare = progress.rowCount > 0 ? progress.row / progress.rowCount : 0;
+  const percent = Math.round(((progress.sheetIndex + rowShare) / progress.sheetCount) * 100);
+  const rowPart = progress.rowCount > 0 ? ` (row ${progress.row} of ${progress.rowCount})` : "";
+
+  return { percent, text: `Validating ${progress.sheet}${rowPart}...` };
+}
+
+function runInWorker(message, { onProgress, cancelMessage }) {
+  const worker = new Worker(new URL("./excelImportWorker.js", import.meta.url), {
+    type: "module",
+  });
+
+  let rejectRun;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectRun = reject;
+
+    worker.onmessage = (event) => {
+      const reply = event.data;
+
+      if (reply.type === "progress") {
+        onProgress?.(describeProgress(reply.progress));
+        return;
+      }
+
+      worker.terminate();
+      if (reply.type === "result") {
+        resolve(reply.result);
+      } else {
+        reject(new Error(reply.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Workbook validation worker failed"));
+    };
+  });
+
+  worker.postMessage(message, [message.buffer]);
+
+  const cancel = () => {
+    worker.terminate();
+    const error = new Error(cancelMessage);
+    error.name = "AbortError";
+    rejectRun(error);
+  };
+
+  return { promise, cancel };
+}
+
+export function validateWorkbookInWorker(
+  buffer,
+  { format, lovs, columnMapping, valueRules, assetFiles, onProgress } = {},
+) {
+  return runInWorker(
+    { task: "validate", buffer, format, lovs, columnMapping, valueRules, assetFiles },
+    { onProgress, cancelMessage: "Validation cancelled" },
+  );
+}
+
+export function scanHeadersInWorker(buffer, format) {
+  return runInWorker({ task: "scan", buffer, format }, { cancelMessage: "Header scan cancelled" });
+}
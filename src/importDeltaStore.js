@@ -0,0 +1,143 @@
+import { hashText } from "./importPushClient.js";
+
+const DATABASE_NAME = "pim-import-delta";
+
+const DATABASE_VERSION = 1;
+
+const STORE_NAME = "workbooks";
+
+const DELTA_SECTIONS = [
+  "attrGroups",
+  "lovs",
+  "attributes",
+  "types",
+  "items",
+  "relations",
+  "assets",
+];
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "workbookId" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runTransaction(mode, operation) {
+  const database = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+function toCanonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCanonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function withContentDigest(section, entity, assetFiles) {
+  if (section !== "assets") {
+    return entity;
+  }
+  return { ...entity, contentDigest: assetFiles?.get(entity.fileName?.toLowerCase())?.digest };
+}
+
+export function computeEntityHashes(payload, assetFiles) {
+  return Object.fromEntries(
+    DELTA_SECTIONS.map((section) => [
+      section,
+      Object.fromEntries(
+        (payload[section] || []).map((entity) => {
+          const text = toCanonicalJson(withContentDigest(section, entity, assetFiles));
+          return [entity.identifier, `${hashText(text)}-${text.length}`];
+        }),
+      ),
+    ]),
+  );
+}
+
+export async function loadDeltaBaseline(workbookId) {
+  const record = await runTransaction("readonly", (store) => store.get(workbookId));
+  return record?.hashes || null;
+}
+
+export function buildDeltaPayload(payload, baseline, assetFiles) {
+  const hashes = computeEntityHashes(payload, assetFiles);
+  const skipped = {};
+  const delta = { ...payload };
+
+  DELTA_SECTIONS.forEach((section) => {
+    const entities = payload[section] || [];
+    delta[section] = entities.filter(
+      (entity) => baseline?.[section]?.[entity.identifier] !== hashes[section][entity.identifier],
+    );
+    skipped[section] = entities.length - delta[section].length;
+  });
+
+  return {
+    payload: delta,
+    skipped,
+    skippedTotal: Object.values(skipped).reduce((total, count) => total + count, 0),
+    sentTotal: DELTA_SECTIONS.reduce((total, section) => total + delta[section].length, 0),
+  };
+}
+
+export async function saveDeltaBaseline(workbookId, baseline, sentPayload, resultData, assetFiles) {
+  const sentHashes = computeEntityHashes(sentPayload, assetFiles);
+  const hashes = {};
+
+  DELTA_SECTIONS.forEach((section) => {
+    const results = new Map(
+      (Array.isArray(resultData?.[section]) ? resultData[section] : []).map((entry) => [
+        String(entry?.identifier ?? "").trim().toLowerCase(),
+        entry?.result,
+      ]),
+    );
+
+    hashes[section] = { ...(baseline?.[section] || {}) };
+    Object.entries(sentHashes[section]).forEach(([identifier, hash]) => {
+      if (!results.has(identifier)) {
+        return;
+      }
+      if (results.get(identifier) === "REJECTED") {
+        delete hashes[section][identifier];
+      } else {
+        hashes[section][identifier] = hash;
+      }
+    });
+  });
+
+  await runTransaction("readwrite", (store) =>
+    store.put({ workbookId, updatedAt: new Date().toISOString(), hashes }),
+  );
+}
+
+export async function planDeltaPush(payload, workbookId, { forceFull = false, assetFiles } = {}) {
+  const baseline = await loadDeltaBaseline(workbookId).catch(() => null);
+  return { ...buildDeltaPayload(payload, forceFull ? null : baseline, assetFiles), baseline };
+}
@@ -0,0 +1,171 @@
+import {
+  ITEM_DETAIL_SELECTION,
+  fetchItemRelationsByIdentifiers,
+  fetchItemsByIdentifiers,
+  fetchLovs,
+  fetchPimMetadata,
+  resolveLovReferences,
+} from "./pimApi.js";
+
+const DIFF_SECTIONS = [
+  { key: "attrGroups", current: "groups", label: "Attribute Group" },
+  { key: "lovs", current: "lovs", label: "LOV" },
+  { key: "types", current: "types", label: "Type" },
+  { key: "attributes", current: "attributes", label: "Attribute" },
+  { key: "items", current: "items", label: "Item" },
+  { key: "relations", current: "relations", label: "Item Relation" },
+];
+
+const IGNORED_FIELDS = new Set(["identifier"]);
+
+const MAX_VALUE_LENGTH = 80;
+
+export const DIFF_STATUSES = {
+  NEW: "NEW",
+  CHANGED: "CHANGED",
+  UNCHANGED: "UNCHANGED",
+  SKIPPED: "SKIPPED",
+  REJECTED: "REJECTED",
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function normalizeForCompare(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => JSON.stringify(normalizeForCompare(entry))).sort();
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, normalizeForCompare(value[key])]),
+    );
+  }
+  return String(value);
+}
+
+function isSameValue(after, before) {
+  return (
+    JSON.stringify(normalizeForCompare(after)) === JSON.stringify(normalizeForCompare(before))
+  );
+}
+
+function collectChanges(after, before, path, changes) {
+  if (isPlainObject(after)) {
+    Object.keys(after).forEach((key) => {
+      if (!path && (IGNORED_FIELDS.has(key) || (isPlainObject(before) && !(key in before)))) {
+        return;
+      }
+      collectChanges(
+        after[key],
+        isPlainObject(before) ? before[key] : undefined,
+        path ? `${path}.${key}` : key,
+        changes,
+      );
+    });
+    return changes;
+  }
+
+  if (!isSameValue(after, before)) {
+    changes.push({ field: path, before, after });
+  }
+  return changes;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "(empty)";
+  }
+  const text = typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text;
+}
+
+function formatChange(change) {
+  return `${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`;
+}
+
+function resolveStatus(mode, exists, changes) {
+  if (!exists) {
+    return mode === "UPDATE_ONLY" ? DIFF_STATUSES.REJECTED : DIFF_STATUSES.NEW;
+  }
+  if (changes.length === 0) {
+    return DIFF_STATUSES.UNCHANGED;
+  }
+  return mode === "CREATE_ONLY" ? DIFF_STATUSES.SKIPPED : DIFF_STATUSES.CHANGED;
+}
+
+function describeModeOutcome(status, mode) {
+  if (status === DIFF_STATUSES.REJECTED) {
+    return `Warning: does not exist in PIM, mode ${mode} will reject this row`;
+  }
+  if (status === DIFF_STATUSES.SKIPPED) {
+    return `Warning: already exists in PIM, mode ${mode} will skip these changes`;
+  }
+  return null;
+}
+
+export async function loadCurrentPimState(payload) {
+  const itemIdentifiers = (payload.items || []).map((item) => item.identifier);
+  const relationIdentifiers = (payload.relations || []).map((relation) => relation.identifier);
+
+  const [metadata, lovs, items, relations] = await Promise.all([
+    fetchPimMetadata(),
+    fetchLovs(),
+    itemIdentifiers.length > 0
+      ? fetchItemsByIdentifiers(itemIdentifiers, ITEM_DETAIL_SELECTION)
+      : Promise.resolve([]),
+    relationIdentifiers.length > 0
+      ? fetchItemRelationsByIdentifiers(relationIdentifiers)
+      : Promise.resolve([]),
+  ]);
+
+  return {
+    groups: metadata.groups,
+    lovs,
+    types: metadata.types,
+    attributes: resolveLovReferences(metadata.attributes, lovs),
+    items,
+    relations,
+  };
+}
+
+export function buildImportDiffRows(payload, current, sources) {
+  const mode = payload.config?.mode || "CREATE_UPDATE";
+
+  return DIFF_SECTIONS.flatMap(({ key, current: currentKey, label }) => {
+    const existing = new Map(
+      (current[currentKey] || []).map((entity) => [entity.identifier, entity]),
+    );
+
+    return (payload[key] || []).map((entity, index) => {
+      const before = existing.get(entity.identifier);
+      const changes = before ? collectChanges(entity, before, "", []) : [];
+      const status = resolveStatus(mode, Boolean(before), changes);
+      const source = sources?.[key]?.[entity.identifier];
+      const modeOutcome = describeModeOutcome(status, mode);
+
+      return {
+        key: `${key}:${index}`,
+        section: label,
+        sheet: source?.sheet || "",
+        row: source?.row ?? null,
+        identifier: entity.identifier,
+        status,
+        messages: [...(modeOutcome ? [modeOutcome] : []), ...changes.map(formatChange)],
+      };
+    });
+  });
+}
+
+export function summarizeImportDiff(rows) {
+  const counts = Object.fromEntries(Object.values(DIFF_STATUSES).map((status) => [status, 0]));
+  rows.forEach((row) => {
+    counts[row.status] += 1;
+  });
+  return counts;
+}
@@ -0,0 +1,12 @@
+export const IMPORT_FORMATS = {
+  EXCEL: "excel",
+  CSV_ARCHIVE: "csv-zip",
+  JSON: "json",
+};
+
+export function detectImportFormat(fileName) {
+  const extension = String(fileName || "").toLowerCase().split(".").pop();
+  if (extension === "zip") return IMPORT_FORMATS.CSV_ARCHIVE;
+  if (extension === "json") return IMPORT_FORMATS.JSON;
+  return IMPORT_FORMATS.EXCEL;
+}
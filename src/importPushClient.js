@@ -0,0 +1,249 @@
+import { apiUrl } from "./pimApi.js";
+
+export const DEFAULT_ITEM_BATCH_SIZE = 500;
+
+const MAX_ATTEMPTS = 4;
+
+const RETRY_BASE_DELAY_MS = 1000;
+
+const CHECKPOINT_STORAGE_KEY = "pim-import-push-checkpoint";
+
+const METADATA_SECTIONS = ["attrGroups", "lovs", "attributes", "types"];
+
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function fingerprintPayload(payload) {
+  const text = JSON.stringify(payload);
+  return `${hashText(text)}-${text.length}`;
+}
+
+export function buildImportBatches(payload, itemBatchSize = DEFAULT_ITEM_BATCH_SIZE) {
+  const emptySections = Object.fromEntries(METADATA_SECTIONS.map((section) => [section, []]));
+  const batches = [];
+
+  const hasMetadata = METADATA_SECTIONS.some((section) => payload[section]?.length > 0);
+  if (hasMetadata) {
+    batches.push({
+      label: "metadata",
+      body: {
+        ...payload,
+        items: [],
+        relations: [],
+        assets: [],
+      },
+    });
+  }
+
+  const items = payload.items || [];
+  for (let offset = 0; offset < items.length; offset += itemBatchSize) {
+    const chunk = items.slice(offset, offset + itemBatchSize);
+    batches.push({
+      label: `items ${offset + 1}-${offset + chunk.length}`,
+      body: {
+        ...payload,
+        ...emptySections,
+        items: chunk,
+        relations: [],
+        assets: [],
+      },
+    });
+  }
+
+  const relations = payload.relations || [];
+  for (let offset = 0; offset < relations.length; offset += itemBatchSize) {
+    const chunk = relations.slice(offset, offset + itemBatchSize);
+    batches.push({
+      label: `relations ${offset + 1}-${offset + chunk.length}`,
+      body: {
+        ...payload,
+        ...emptySections,
+        items: [],
+        relations: chunk,
+        assets: [],
+      },
+    });
+  }
+
+  const assets = payload.assets || [];
+  for (let offset = 0; offset < assets.length; offset += itemBatchSize) {
+    const chunk = assets.slice(offset, offset + itemBatchSize);
+    batches.push({
+      label: `assets ${offset + 1}-${offset + chunk.length}`,
+      body: {
+        ...payload,
+        ...emptySections,
+        items: [],
+        relations: [],
+        assets: chunk,
+      },
+    });
+  }
+
+  return batches;
+}
+
+function mergeResultData(target, data) {
+  Object.entries(data || {}).forEach(([section, value]) => {
+    if (Array.isArray(value)) {
+      target[section] = [...(target[section] || []), ...value];
+    }
+  });
+  return target;
+}
+
+function readStoredCheckpoint() {
+  try {
+    const raw = localStorage.getItem(CHECKPOINT_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCheckpoint(checkpoint) {
+  try {
+    localStorage.setItem(CHECKPOINT_STORAGE_KEY, JSON.stringify(checkpoint));
+  } catch {
+    try {
+      localStorage.setItem(
+        CHECKPOINT_STORAGE_KEY,
+        JSON.stringify({ ...checkpoint, data: {}, resultsTruncated: true }),
+      );
+    } catch {
+      // Without storage the push still works; it just cannot be resumed.
+    }
+  }
+}
+
+export function readPushCheckpoint(payload) {
+  const checkpoint = readStoredCheckpoint();
+  if (!checkpoint || checkpoint.fingerprint !== fingerprintPayload(payload)) {
+    return null;
+  }
+  return checkpoint;
+}
+
+export function clearPushCheckpoint() {
+  try {
+    localStorage.removeItem(CHECKPOINT_STORAGE_KEY);
+  } catch {
+    // Nothing to clear when storage is unavailable.
+  }
+}
+
+function wait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function sendBatch(body) {
+  let response;
+  try {
+    response = await fetch(apiUrl("/api/import/execute"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    return { ok: false, retryable: true, error: error.message || "Network error" };
+  }
+
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    return {
+      ok: false,
+      retryable: isRetryableStatus(response.status),
+      error: `Unexpected response (HTTP ${response.status})`,
+    };
+  }
+
+  if (!response.ok || result.errors || result.error) {
+    return {
+      ok: false,
+      retryable: isRetryableStatus(response.status),
+      error:
+        result.error ||
+        (Array.isArray(result.errors) && result.errors[0]?.message) ||
+        `Import mutation failed (HTTP ${response.status})`,
+    };
+  }
+
+  return { ok: true, result };
+}
+
+export async function pushImportInBatches(
+  payload,
+  {
+    itemBatchSize = DEFAULT_ITEM_BATCH_SIZE,
+    resume = false,
+    checkpointPayload = payload,
+    onProgress,
+  } = {},
+) {
+  const fingerprint = fingerprintPayload(checkpointPayload);
+  const stored = resume ? readPushCheckpoint(checkpointPayload) : null;
+  const batchSize = stored?.itemBatchSize || itemBatchSize;
+  const batches = buildImportBatches(payload, batchSize);
+
+  const checkpoint = stored || {
+    fingerprint,
+    itemBatchSize: batchSize,
+    totalBatches: batches.length,
+    completedBatches: 0,
+    data: {},
+  };
+
+  for (let index = checkpoint.completedBatches; index < batches.length; index += 1) {
+    const batch = batches[index];
+    let outcome;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      onProgress?.({
+        batchIndex: index,
+        totalBatches: batches.length,
+        label: batch.label,
+        attempt,
+      });
+
+      outcome = await sendBatch(batch.body);
+      if (outcome.ok || !outcome.retryable || attempt === MAX_ATTEMPTS) {
+        break;
+      }
+
+      await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+
+    if (!outcome.ok) {
+      writeCheckpoint(checkpoint);
+      const error = new Error(
+        `Batch ${index + 1} of ${batches.length} (${batch.label}) failed: ${outcome.error}`,
+      );
+      error.checkpoint = checkpoint;
+      throw error;
+    }
+
+    mergeResultData(checkpoint.data, outcome.result.data);
+    checkpoint.completedBatches = index + 1;
+    writeCheckpoint(checkpoint);
+  }
+
+  clearPushCheckpoint();
+
+  return {
+    data: checkpoint.data,
+    totalBatches: batches.length,
+    resultsTruncated: Boolean(checkpoint.resultsTruncated),
+  };
+}
@@ -0,0 +1,44 @@
+const RESULT_SECTIONS = [
+  { key: "types", label: "Type" },
+  { key: "attrGroups", label: "Attribute Group" },
+  { key: "lovs", label: "LOV" },
+  { key: "attributes", label: "Attribute" },
+  { key: "items", label: "Item" },
+  { key: "relations", label: "Item Relation" },
+  { key: "assets", label: "Asset" },
+];
+
+function formatBackendMessage(severity, entry) {
+  if (typeof entry === "string") {
+    return `${severity}: ${entry}`;
+  }
+
+  const text = entry?.message || JSON.stringify(entry);
+  return `${severity}: ${entry?.code ? `${entry.code} ` : ""}${text}`;
+}
+
+export function buildImportResultRows(data, sources) {
+  return RESULT_SECTIONS.flatMap(({ key, label }) => {
+    const entries = Array.isArray(data?.[key]) ? data[key] : [];
+
+    return entries.map((entry, index) => {
+      const identifier = String(entry?.identifier ?? "").trim();
+      const source = sources?.[key]?.[identifier.toLowerCase()];
+      const errors = Array.isArray(entry?.errors) ? entry.errors : [];
+      const warnings = Array.isArray(entry?.warnings) ? entry.warnings : [];
+
+      return {
+        key: `${key}:${index}`,
+        section: label,
+        sheet: source?.sheet || "",
+        row: source?.row ?? null,
+        identifier,
+        status: entry?.result || "",
+        messages: [
+          ...errors.map((message) => formatBackendMessage("Error", message)),
+          ...warnings.map((message) => formatBackendMessage("Warning", message)),
+        ],
+      };
+    });
+  });
+}
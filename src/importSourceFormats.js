@@ -0,0 +1,319 @@
+import * as XLSX from "xlsx";
+import {
+  describeWorkbookHeaders,
+  listWorkbookAttributes,
+  parseAndValidateImportWorkbook,
+  validateImportWorkbook,
+} from "./excelImportParser.js";
+import {
+  ATTRIBUTE_HEADERS,
+  CONFIG_HEADERS,
+  GROUP_HEADERS,
+  ITEM_ASSET_HEADERS,
+  ITEM_BASE_HEADERS,
+  ITEM_RELATION_HEADERS,
+  LOV_HEADERS,
+  SHEETS,
+  TYPE_GROUP_BINDING_HEADERS,
+  TYPE_HEADERS,
+} from "./excelImportTemplate.js";
+import { IMPORT_FORMATS } from "./importFormats.js";
+
+const JSON_ITEMS_SHEET = "Items";
+
+const JSON_SECTIONS = [
+  { key: "attrGroups", sheet: SHEETS.GROUPS },
+  { key: "lovs", sheet: SHEETS.LOVS },
+  { key: "types", sheet: SHEETS.TYPES },
+  { key: "attributes", sheet: SHEETS.ATTRIBUTES },
+  { key: "items", sheet: JSON_ITEMS_SHEET },
+  { key: "relations", sheet: SHEETS.ITEM_RELATIONS },
+  { key: "assets", sheet: SHEETS.ITEM_ASSETS },
+];
+
+function appendSheet(workbook, name, sheet) {
+  workbook.SheetNames.push(name);
+  workbook.Sheets[name] = sheet;
+}
+
+function readCsvArchiveWorkbook(arrayBuffer) {
+  const archive = XLSX.CFB.read(new Uint8Array(arrayBuffer), { type: "array" });
+  const decoder = new TextDecoder("utf-8");
+  const workbook = { SheetNames: [], Sheets: {} };
+
+  archive.FileIndex.forEach((entry, index) => {
+    const path = archive.FullPaths[index];
+    if (
+      entry.type !== 2 ||
+      !entry.name.toLowerCase().endsWith(".csv") ||
+      entry.name.startsWith("._") ||
+      path.includes("__MACOSX/")
+    ) {
+      return;
+    }
+
+    const sheetName = entry.name.slice(0, -4);
+    if (workbook.Sheets[sheetName]) {
+      throw new Error(`Archive contains more than one file named ${entry.name}`);
+    }
+
+    const csv = XLSX.read(decoder.decode(entry.content), { type: "string", raw: true });
+    appendSheet(workbook, sheetName, csv.Sheets[csv.SheetNames[0]]);
+  });
+
+  if (workbook.SheetNames.length === 0) {
+    throw new Error("Archive contains no CSV files");
+  }
+
+  return workbook;
+}
+
+export function parseAndValidateCsvArchive(arrayBuffer, options = {}) {
+  options.onProgress?.({ stage: "reading" });
+  return validateImportWorkbook(readCsvArchiveWorkbook(arrayBuffer), options);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function toCellText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function toListText(value) {
+  return Array.isArray(value) ? value.join(",") : toCellText(value);
+}
+
+function toLocalizedColumns(prefix, value, defaultLanguage) {
+  if (!isPlainObject(value)) {
+    return value === null || value === undefined
+      ? {}
+      : { [`${prefix}_${defaultLanguage}`]: value };
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([language, text]) => [`${prefix}_${language}`, toCellText(text)]),
+  );
+}
+
+function toJsonText(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 ? JSON.stringify(value) : "";
+}
+
+function toConfigRows(config) {
+  const rows = [
+    ["mode", config.mode],
+    ["errors", config.errors],
+    ["default_language", config.defaultLanguage ?? config.default_language],
+    ["languages", toListText(config.languages)],
+    ["workbook_id", config.workbookId ?? config.workbook_id],
+    ["decimal_separator", config.decimalSeparator ?? config.decimal_separator],
+    ["list_separator", config.listSeparator ?? config.list_separator],
+  ];
+  return [CONFIG_HEADERS, ...rows.filter(([, value]) => value !== undefined && value !== "")];
+}
+
+const JSON_ROW_BUILDERS = {
+  attrGroups: (group, language) => [
+    {
+      identifier: group.identifier,
+      ...toLocalizedColumns("name", group.name, language),
+      order: toCellText(group.order),
+      visible: toCellText(group.visible),
+      options_json: toJsonText(group.options),
+    },
+  ],
+  lovs: (lov, language) => {
+    const values = Array.isArray(lov.values) ? lov.values : [];
+    if (values.length === 0) {
+      return [{ identifier: lov.identifier, ...toLocalizedColumns("name", lov.name, language) }];
+    }
+    return values.map((entry) => ({
+      identifier: lov.identifier,
+      ...toLocalizedColumns("name", lov.name, language),
+      value_id: toCellText(entry?.id),
+      ...toLocalizedColumns("label", entry?.value, language),
+    }));
+  },
+  types: (type, language) => [
+    {
+      identifier: type.identifier,
+      ...toLocalizedColumns("name", type.name, language),
+      parent_identifier: toCellText(type.parentIdentifier),
+      icon: toCellText(type.icon),
+      icon_color: toCellText(type.iconColor),
+      file: toCellText(type.file),
+    },
+  ],
+  attributes: (attribute, language) => [
+    {
+      identifier: attribute.identifier,
+      ...toLocalizedColumns("name", attribute.name, language),
+      type_code: toCellText(attribute.type),
+      groups_csv: toListText(attribute.groups),
+      order: toCellText(attribute.order),
+      language_dependent: toCellText(attribute.languageDependent),
+      rich_text: toCellText(attribute.richText),
+      multi_line: toCellText(attribute.multiLine),
+      pattern: toCellText(attribute.pattern),
+      lov_identifier: toCellText(attribute.lov),
+      options_json: toJsonText(attribute.options),
+      valid_types_csv: toListText(attribute.valid),
+      visible_types_csv: toListText(attribute.visible),
+      multi_valued: toCellText(attribute.multiValued),
+    },
+  ],
+  items: (item, language) => [
+    {
+      identifier: item.identifier,
+      ...toLocalizedColumns("name", item.name, language),
+      type_identifier: toCellText(item.typeIdentifier),
+      parent_identifier: toCellText(item.parentIdentifier),
+      values_json: toJsonText(item.values),
+      channels_json: toJsonText(item.channels),
+    },
+  ],
+  relations: (relation) => [
+    {
+      identifier: toCellText(relation.identifier),
+      source_identifier: toCellText(relation.itemIdentifier),
+      relation_identifier: toCellText(relation.relationIdentifier),
+      target_identifier: toCellText(relation.targetIdentifier),
+      order: toCellText(relation.order),
+      values_json: toJsonText(relation.values),
+    },
+  ],
+  assets: (asset) => [
+    {
+      file_name: toCellText(asset.fileName),
+      item_identifier: toCellText(asset.itemIdentifier),
+      attribute_identifier: toCellText(asset.attributeIdentifier),
+      relation_identifier: toCellText(asset.relationIdentifier),
+    },
+  ],
+};
+
+const JSON_SECTION_HEADERS = {
+  attrGroups: GROUP_HEADERS,
+  lovs: LOV_HEADERS,
+  types: TYPE_HEADERS,
+  attributes: ATTRIBUTE_HEADERS,
+  items: ITEM_BASE_HEADERS,
+  relations: ITEM_RELATION_HEADERS,
+  assets: ITEM_ASSET_HEADERS,
+};
+
+function readJsonDocumentWorkbook(arrayBuffer) {
+  let document;
+  try {
+    document = JSON.parse(new TextDecoder("utf-8").decode(arrayBuffer));
+  } catch (error) {
+    throw new Error(`Invalid JSON document: ${error.message}`);
+  }
+
+  if (!isPlainObject(document)) {
+    throw new Error("JSON document must be an object with config, attrGroups, types, ... keys");
+  }
+
+  const config = isPlainObject(document.config) ? document.config : {};
+  const language = String(config.defaultLanguage ?? config.default_language ?? "en");
+  const workbook = { SheetNames: [], Sheets: {} };
+  const locations = { [SHEETS.CONFIG]: () => "config" };
+
+  appendSheet(workbook, SHEETS.CONFIG, XLSX.utils.aoa_to_sheet(toConfigRows(config)));
+
+  JSON_SECTIONS.forEach(({ key, sheet }) => {
+    const entries = document[key] ?? [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`JSON section '${key}' must be an array`);
+    }
+
+    const rows = [];
+    const rowEntries = [];
+    entries.forEach((entry, index) => {
+      if (!isPlainObject(entry)) {
+        throw new Error(`JSON entry ${key}[${index}] must be an object`);
+      }
+      JSON_ROW_BUILDERS[key](entry, language).forEach((row) => {
+        rows.push(row);
+        rowEntries.push(index);
+      });
+    });
+
+    appendSheet(
+      workbook,
+      sheet,
+      XLSX.utils.json_to_sheet(rows, { header: JSON_SECTION_HEADERS[key] }),
+    );
+    locations[sheet] = (row) => (row > 1 ? `${key}[${rowEntries[row - 2]}]` : key);
+  });
+
+  appendSheet(
+    workbook,
+    SHEETS.TYPE_GROUP_BINDINGS,
+    XLSX.utils.aoa_to_sheet([TYPE_GROUP_BINDING_HEADERS]),
+  );
+  appendSheet(workbook, SHEETS.ITEM_PARENTS, XLSX.utils.aoa_to_sheet([ITEM_BASE_HEADERS]));
+
+  return { workbook, locations };
+}
+
+function relocate(location, locations) {
+  const locate = locations[location.sheet];
+  return locate ? { ...location, sheet: locate(location.row), row: null } : location;
+}
+
+export function parseAndValidateJsonDocument(arrayBuffer, options = {}) {
+  options.onProgress?.({ stage: "reading" });
+  const { workbook, locations } = readJsonDocumentWorkbook(arrayBuffer);
+  const validation = validateImportWorkbook(workbook, options);
+
+  const relocateSources = (sources) =>
+    Object.fromEntries(
+      Object.entries(sources).map(([identifier, source]) => [
+        identifier,
+        relocate(source, locations),
+      ]),
+    );
+
+  return {
+    ...validation,
+    sources: Object.fromEntries(
+      Object.entries(validation.sources).map(([key, sources]) => [key, relocateSources(sources)]),
+    ),
+    errors: validation.errors.map((issue) => relocate(issue, locations)),
+    warnings: validation.warnings.map((issue) => relocate(issue, locations)),
+    transformations: validation.transformations.map((entry) => relocate(entry, locations)),
+  };
+}
+
+export function parseAndValidateImportSource(arrayBuffer, format, options = {}) {
+  if (format === IMPORT_FORMATS.CSV_ARCHIVE) {
+    return parseAndValidateCsvArchive(arrayBuffer, options);
+  }
+  if (format === IMPORT_FORMATS.JSON) {
+    return parseAndValidateJsonDocument(arrayBuffer, options);
+  }
+  return parseAndValidateImportWorkbook(arrayBuffer, options);
+}
+
+export function scanImportHeaders(arrayBuffer, format) {
+  if (format === IMPORT_FORMATS.JSON) {
+    return { sheets: [], attributes: [] };
+  }
+  if (format === IMPORT_FORMATS.CSV_ARCHIVE) {
+    const workbook = readCsvArchiveWorkbook(arrayBuffer);
+    return {
+      sheets: describeWorkbookHeaders(workbook),
+      attributes: listWorkbookAttributes(workbook),
+    };
+  }
+  return {
+    sheets: describeWorkbookHeaders(XLSX.read(arrayBuffer, { type: "array", sheetRows: 1 })),
+    attributes: listWorkbookAttributes(
+      XLSX.read(arrayBuffer, { type: "array", sheets: SHEETS.ATTRIBUTES }),
+    ),
+  };
+}
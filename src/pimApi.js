@@ -0,0 +1,312 @@
+const API_BASE = import.meta.env?.VITE_API_BASE || "";
+
+export const PIM_OPERATIONS = {
+  TYPES: "getTypes",
+  ATTRIBUTE_GROUPS: "getAttrGroups",
+  ITEMS_BY_IDENTIFIERS: "getItemsByIdentifiers",
+  LOVS: "getLOVs",
+  SEARCH_ITEMS: "searchItems",
+  RELATIONS: "getRelations",
+  ITEM_RELATIONS_BY_IDENTIFIERS: "getItemRelationsByIdentifiers",
+};
+
+const ITEM_LOOKUP_BATCH_SIZE = 200;
+
+const ITEM_PAGE_SIZE = 500;
+
+const ITEM_SELECTION = "id identifier typeIdentifier parentIdentifier";
+
+export const ITEM_DETAIL_SELECTION = `${ITEM_SELECTION} name values channels`;
+
+const ITEM_RELATION_SELECTION =
+  "id identifier relationIdentifier itemIdentifier targetIdentifier order values";
+
+const TYPE_TREE_DEPTH = 8;
+
+const TYPE_FIELDS = "id identifier name icon iconColor file";
+
+const ATTRIBUTE_GROUP_SELECTION = [
+  "id identifier name order visible options",
+  "attributes { id identifier name type order valid visible languageDependent richText multiLine pattern lov options }",
+].join(" ");
+
+export function apiUrl(path) {
+  return `${API_BASE}${path}`;
+}
+
+export async function executeGraphqlOperation({
+  operationName,
+  kind = "QUERY",
+  args = {},
+  selectionSet = "",
+  signal,
+}) {
+  const response = await fetch(apiUrl("/api/graphql/execute"), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      operationName,
+      kind,
+      arguments: args,
+      selectionSet,
+    }),
+    signal,
+  });
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.includes("application/json")) {
+    throw new Error(
+      `Operation ${operationName} failed: unexpected ${
+        contentType.split(";")[0] || "response"
+      } (HTTP ${response.status})`,
+    );
+  }
+
+  const result = await response.json();
+
+  if (!response.ok || result.errors || result.error) {
+    const message =
+      result.error ||
+      (Array.isArray(result.errors) && result.errors[0]?.message) ||
+      `Operation ${operationName} failed (HTTP ${response.status})`;
+    throw new Error(message);
+  }
+
+  return result.data?.[operationName] ?? result.data;
+}
+
+function buildTypeTreeSelection(depth) {
+  if (depth <= 1) {
+    return TYPE_FIELDS;
+  }
+  return `${TYPE_FIELDS} children { ${buildTypeTreeSelection(depth - 1)} }`;
+}
+
+function toIdentifier(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return String(value).trim().toLowerCase();
+}
+
+function flattenTypeTree(nodes, parentIdentifier, target) {
+  (Array.isArray(nodes) ? nodes : []).forEach((node) => {
+    const identifier = toIdentifier(node?.identifier);
+    if (!identifier) {
+      return;
+    }
+
+    target.push({
+      id: node.id,
+      identifier,
+      name: node.name || {},
+      parentIdentifier: toIdentifier(node.parentIdentifier) || parentIdentifier,
+      icon: node.icon || "",
+      iconColor: node.iconColor || "",
+      file: Boolean(node.file),
+    });
+
+    flattenTypeTree(node.children, identifier, target);
+  });
+  return target;
+}
+
+function resolveTypeReferences(values, typeIdsToIdentifiers) {
+  return (Array.isArray(values) ? values : [])
+    .map((value) => typeIdsToIdentifiers.get(String(value)) || toIdentifier(value))
+    .filter((identifier) => identifier.length > 0);
+}
+
+export async function fetchPimMetadata({ signal } = {}) {
+  const [typeTree, groupList] = await Promise.all([
+    executeGraphqlOperation({
+      operationName: PIM_OPERATIONS.TYPES,
+      selectionSet: buildTypeTreeSelection(TYPE_TREE_DEPTH),
+      signal,
+    }),
+    executeGraphqlOperation({
+      operationName: PIM_OPERATIONS.ATTRIBUTE_GROUPS,
+      selectionSet: ATTRIBUTE_GROUP_SELECTION,
+      signal,
+    }),
+  ]);
+
+  const types = flattenTypeTree(typeTree, "", []);
+  const typeIdsToIdentifiers = new Map(
+    types.map((type) => [String(type.id), type.identifier]),
+  );
+
+  const attributeMap = new Map();
+  const groups = (Array.isArray(groupList) ? groupList : [])
+    .filter((group) => toIdentifier(group?.identifier))
+    .map((group) => {
+      const groupIdentifier = toIdentifier(group.identifier);
+
+      (group.attributes || []).forEach((attribute) => {
+        const identifier = toIdentifier(attribute?.identifier);
+        if (!identifier) {
+          return;
+        }
+
+        const existing = attributeMap.get(identifier);
+        if (existing) {
+          if (!existing.groups.includes(groupIdentifier)) {
+            existing.groups.push(groupIdentifier);
+          }
+          return;
+        }
+
+        attributeMap.set(identifier, {
+          id: attribute.id,
+          identifier,
+          name: attribute.name || {},
+          type: attribute.type,
+          order: attribute.order,
+          groups: [groupIdentifier],
+          languageDependent: Boolean(attribute.languageDependent),
+          richText: Boolean(attribute.richText),
+          multiLine: Boolean(attribute.multiLine),
+          pattern: attribute.pattern || "",
+          lov: attribute.lov ?? "",
+          options: attribute.options,
+          valid: resolveTypeReferences(attribute.valid, typeIdsToIdentifiers),
+          visible: resolveTypeReferences(attribute.visible, typeIdsToIdentifiers),
+        });
+      });
+
+      return {
+        id: group.id,
+        identifier: groupIdentifier,
+        name: group.name || {},
+        order: group.order,
+        visible: group.visible,
+        options: group.options,
+      };
+    });
+
+  return {
+    types,
+    groups,
+    attributes: [...attributeMap.values()],
+  };
+}
+
+async function fetchByIdentifiers(operationName, identifiers, selectionSet, signal) {
+  const unique = [...new Set(identifiers.map((identifier) => toIdentifier(identifier)))].filter(
+    (identifier) => identifier.length > 0,
+  );
+  const entities = [];
+
+  for (let offset = 0; offset < unique.length; offset += ITEM_LOOKUP_BATCH_SIZE) {
+    const batch = await executeGraphqlOperation({
+      operationName,
+      args: { identifiers: unique.slice(offset, offset + ITEM_LOOKUP_BATCH_SIZE) },
+      selectionSet,
+      signal,
+    });
+
+    (Array.isArray(batch) ? batch : []).forEach((entity) => {
+      const identifier = toIdentifier(entity?.identifier);
+      if (identifier) {
+        entities.push({ ...entity, identifier });
+      }
+    });
+  }
+
+  return entities;
+}
+
+export function fetchItemsByIdentifiers(
+  identifiers,
+  selectionSet = ITEM_SELECTION,
+  { signal } = {},
+) {
+  return fetchByIdentifiers(PIM_OPERATIONS.ITEMS_BY_IDENTIFIERS, identifiers, selectionSet, signal);
+}
+
+export async function fetchItemRelationsByIdentifiers(identifiers) {
+  const relations = await fetchByIdentifiers(
+    PIM_OPERATIONS.ITEM_RELATIONS_BY_IDENTIFIERS,
+    identifiers,
+    ITEM_RELATION_SELECTION,
+  );
+
+  return relations.map((relation) => ({
+    ...relation,
+    relationIdentifier: toIdentifier(relation.relationIdentifier),
+    itemIdentifier: toIdentifier(relation.itemIdentifier),
+    targetIdentifier: toIdentifier(relation.targetIdentifier),
+  }));
+}
+
+export async function fetchRelations({ signal } = {}) {
+  const relations = await executeGraphqlOperation({
+    operationName: PIM_OPERATIONS.RELATIONS,
+    selectionSet: "id identifier name",
+    signal,
+  });
+
+  return (Array.isArray(relations) ? relations : []).map((relation) => ({
+    id: relation.id,
+    identifier: toIdentifier(relation.identifier),
+    name: relation.name || {},
+  }));
+}
+
+export async function fetchLovs({ signal } = {}) {
+  const lovs = await executeGraphqlOperation({
+    operationName: PIM_OPERATIONS.LOVS,
+    selectionSet: "id identifier name values",
+    signal,
+  });
+
+  return (Array.isArray(lovs) ? lovs : []).map((lov) => ({
+    id: lov.id,
+    identifier: toIdentifier(lov.identifier),
+    name: lov.name || {},
+    values: Array.isArray(lov.values) ? lov.values : [],
+  }));
+}
+
+export function resolveLovReferences(attributes, lovs) {
+  const lovIdentifiers = new Map(lovs.map((lov) => [String(lov.id), lov.identifier]));
+  return attributes.map((attribute) => ({
+    ...attribute,
+    lov: lovIdentifiers.get(String(attribute.lov)) || attribute.lov,
+  }));
+}
+
+export async function fetchItems({ typeIdentifiers = [], parentIdentifier = "" } = {}) {
+  const typeSet = new Set(typeIdentifiers.map((identifier) => toIdentifier(identifier)));
+  const parent = toIdentifier(parentIdentifier);
+  const where = {};
+  if (typeSet.size > 0) where.typeIdentifier = [...typeSet];
+  if (parent) where.parentIdentifier = parent;
+
+  const items = [];
+  for (let offset = 0; ; offset += ITEM_PAGE_SIZE) {
+    const page = await executeGraphqlOperation({
+      operationName: PIM_OPERATIONS.SEARCH_ITEMS,
+      args: { where, offset, limit: ITEM_PAGE_SIZE },
+      selectionSet: `count rows { ${ITEM_DETAIL_SELECTION} }`,
+    });
+    const rows = Array.isArray(page?.rows) ? page.rows : [];
+
+    rows.forEach((item) => {
+      const identifier = toIdentifier(item?.identifier);
+      const typeIdentifier = toIdentifier(item?.typeIdentifier);
+      const parentOfItem = toIdentifier(item?.parentIdentifier);
+      if (
+        identifier &&
+        (typeSet.size === 0 || typeSet.has(typeIdentifier)) &&
+        (!parent || parentOfItem === parent)
+      ) {
+        items.push({ ...item, identifier, typeIdentifier, parentIdentifier: parentOfItem });
+      }
+    });
+
+    if (rows.length < ITEM_PAGE_SIZE || offset + rows.length >= (page?.count ?? Infinity)) {
+      return items;
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import { fetchItems, fetchLovs, fetchPimMetadata, resolveLovReferences } from "./pimApi.js";
+
+function expandTypeSelection(types, typeIdentifiers) {
+  const known = new Set(types.map((type) => type.identifier));
+  const unknown = typeIdentifiers.filter((identifier) => !known.has(identifier));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown type(s): ${unknown.join(", ")}`);
+  }
+
+  const selected = new Set(typeIdentifiers);
+  let added = true;
+  while (added) {
+    added = false;
+    types.forEach((type) => {
+      if (!selected.has(type.identifier) && selected.has(type.parentIdentifier)) {
+        selected.add(type.identifier);
+        added = true;
+      }
+    });
+  }
+  return [...selected];
+}
+
+export async function loadPimExportSnapshot({ typeIdentifiers = [], parentIdentifier = "" } = {}) {
+  const [metadata, lovs] = await Promise.all([fetchPimMetadata(), fetchLovs()]);
+  const items = await fetchItems({
+    typeIdentifiers: expandTypeSelection(metadata.types, typeIdentifiers),
+    parentIdentifier,
+  });
+
+  return {
+    ...metadata,
+    attributes: resolveLovReferences(metadata.attributes, lovs),
+    lovs,
+    items,
+  };
+}
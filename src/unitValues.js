@@ -0,0 +1,209 @@
+export const UNIT_FACTORS = {
+  mm: { dimension: "length", factor: 1 },
+  cm: { dimension: "length", factor: 10 },
+  m: { dimension: "length", factor: 1000 },
+  in: { dimension: "length", factor: 25.4 },
+  ft: { dimension: "length", factor: 304.8 },
+  g: { dimension: "mass", factor: 1 },
+  kg: { dimension: "mass", factor: 1000 },
+  lb: { dimension: "mass", factor: 453.59237 },
+  oz: { dimension: "mass", factor: 28.349523125 },
+};
+
+const UNIT_ALIASES = {
+  millimeter: "mm",
+  millimeters: "mm",
+  centimeter: "cm",
+  centimeters: "cm",
+  meter: "m",
+  meters: "m",
+  inch: "in",
+  inches: "in",
+  '"': "in",
+  "″": "in",
+  foot: "ft",
+  feet: "ft",
+  "'": "ft",
+  "′": "ft",
+  gram: "g",
+  grams: "g",
+  kilogram: "kg",
+  kilograms: "kg",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  ounce: "oz",
+  ounces: "oz",
+};
+
+const DECIMAL_SEPARATORS = new Set([".", ","]);
+
+const MEASUREMENT_PATTERN =
+  /^([+-]?(?:\d|[.,]\d)[\d\s.,'’/-]*?(?:[eE][+-]?\d+)?)\s*([a-zA-Z"'″′]+\.?)?$/;
+
+const GROUP_SEPARATOR_PATTERNS = {
+  ".": /[,\s'’]/,
+  ",": /[.\s'’]/,
+};
+
+const EXPONENT_PATTERN = /^(.*?)((?:[eE][+-]?\d+)?)$/;
+
+const FRACTION_PATTERN = /^([+-]?)(?:(\d+)[\s-]+)?(\d+)\/(\d+)$/;
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return String(value).trim();
+}
+
+function roundConverted(value) {
+  return Number(value.toPrecision(12));
+}
+
+export function isDecimalSeparator(value) {
+  return DECIMAL_SEPARATORS.has(value);
+}
+
+export function resolveUnit(value) {
+  const text = toText(value).replace(/\.$/, "");
+  const lower = text.toLowerCase();
+  if (UNIT_FACTORS[lower]) {
+    return lower;
+  }
+  return UNIT_ALIASES[lower] || UNIT_ALIASES[text] || null;
+}
+
+export function convertUnit(value, fromUnit, toUnit) {
+  const source = UNIT_FACTORS[fromUnit];
+  const target = UNIT_FACTORS[toUnit];
+  if (!source || !target) {
+    return {
+      ok: false,
+      error: `Unknown unit. Use one of: ${Object.keys(UNIT_FACTORS).join(", ")}`,
+    };
+  }
+  if (source.dimension !== target.dimension) {
+    return { ok: false, error: `Cannot convert ${fromUnit} to ${toUnit}` };
+  }
+  return { ok: true, value: roundConverted((value * source.factor) / target.factor) };
+}
+
+function readGroupedNumber(text, decimalSeparator) {
+  const [, mantissa, exponent] = text.match(EXPONENT_PATTERN);
+  const [whole, fraction, extra] = mantissa.split(decimalSeparator);
+  if (extra !== undefined) {
+    return null;
+  }
+
+  const sign = whole.match(/^[+-]?/)[0];
+  const groups = whole.slice(sign.length).split(GROUP_SEPARATOR_PATTERNS[decimalSeparator]);
+  if (
+    groups.length > 1 &&
+    !(/^\d{1,3}$/.test(groups[0]) && groups.slice(1).every((group) => /^\d{3}$/.test(group)))
+  ) {
+    return null;
+  }
+
+  const normalized = `${sign}${groups.join("")}${
+    fraction !== undefined ? `.${fraction}` : ""
+  }${exponent}`;
+  return /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(normalized) ? Number(normalized) : null;
+}
+
+export function parseLocaleNumber(value, decimalSeparator) {
+  const text = toText(value);
+
+  if (decimalSeparator) {
+    const parsed = readGroupedNumber(text, decimalSeparator);
+    return parsed === null ? { ok: false, error: "Expected number" } : { ok: true, value: parsed };
+  }
+
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+  if (lastDot !== -1 && lastComma !== -1) {
+    const parsed = readGroupedNumber(text, lastDot > lastComma ? "." : ",");
+    return parsed === null ? { ok: false, error: "Expected number" } : { ok: true, value: parsed };
+  }
+
+  const separator = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null;
+  if (!separator) {
+    const parsed = readGroupedNumber(text, ".");
+    return parsed === null ? { ok: false, error: "Expected number" } : { ok: true, value: parsed };
+  }
+
+  if (text.indexOf(separator) !== text.lastIndexOf(separator)) {
+    const parsed = readGroupedNumber(text, separator === "." ? "," : ".");
+    return parsed === null ? { ok: false, error: "Expected number" } : { ok: true, value: parsed };
+  }
+
+  const parsed = readGroupedNumber(text, separator);
+  if (parsed === null) {
+    return { ok: false, error: "Expected number" };
+  }
+
+  const ambiguous = /^[+-]?[1-9]\d{0,2}[.,]\d{3}$/.test(text);
+  if (!ambiguous) {
+    return { ok: true, value: parsed };
+  }
+
+  return {
+    ok: true,
+    value: parsed,
+    warning: `'${text}' could also be read as ${readGroupedNumber(
+      text,
+      separator === "." ? "," : ".",
+    )}; read as ${parsed}. Set Import_Config decimal_separator to remove the ambiguity`,
+  };
+}
+
+function parseMeasurementNumber(text, decimalSeparator) {
+  const fraction = text.match(FRACTION_PATTERN);
+  if (!fraction) {
+    return parseLocaleNumber(text, decimalSeparator);
+  }
+
+  const [, sign, whole, numerator, denominator] = fraction;
+  if (Number(denominator) === 0) {
+    return { ok: false, error: "Fraction denominator cannot be 0" };
+  }
+
+  const magnitude = Number(whole || 0) + Number(numerator) / Number(denominator);
+  return { ok: true, value: roundConverted(sign === "-" ? -magnitude : magnitude) };
+}
+
+export function parseMeasurement(value, { unit, decimalSeparator } = {}) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? { ok: true, value } : { ok: false, error: "Expected number" };
+  }
+
+  const text = toText(value);
+  const match = text.match(MEASUREMENT_PATTERN);
+  if (!match) {
+    return { ok: false, error: "Expected number" };
+  }
+
+  const [, numberText, unitText] = match;
+  const number = parseMeasurementNumber(numberText.trim(), decimalSeparator);
+  if (!number.ok || !unitText) {
+    return number;
+  }
+
+  const valueUnit = resolveUnit(unitText);
+  if (!valueUnit) {
+    return {
+      ok: false,
+      error: `Unknown unit '${unitText}'. Use one of: ${Object.keys(UNIT_FACTORS).join(", ")}`,
+    };
+  }
+
+  if (!unit) {
+    return {
+      ok: false,
+      error: `Attribute has no unit in options_json, so '${unitText}' cannot be converted`,
+    };
+  }
+
+  const converted = convertUnit(number.value, valueUnit, unit);
+  return converted.ok ? { ...number, value: converted.value } : converted;
+}
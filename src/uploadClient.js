@@ -0,0 +1,355 @@
+import { apiUrl } from "./pimApi.js";
+
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+
+const MAX_CHUNK_ATTEMPTS = 4;
+
+const RETRY_BASE_DELAY_MS = 1000;
+
+const SESSION_STORAGE_KEY = "pim-upload-sessions";
+
+const CONFIGURED_MAX_SIZE_MB = Number(import.meta.env?.VITE_UPLOAD_MAX_SIZE_MB) || 0;
+
+const SINGLE_REQUEST_MAX_SIZE_MB = 50;
+
+export const DEFAULT_UPLOAD_LIMITS = {
+  maxSizeMb: CONFIGURED_MAX_SIZE_MB || SINGLE_REQUEST_MAX_SIZE_MB,
+  allowedTypes:
+    import.meta.env?.VITE_UPLOAD_ALLOWED_TYPES ||
+    "image/*, application/pdf, application/zip, application/x-zip-compressed, text/csv",
+};
+
+export function parseAllowedTypes(text) {
+  return String(text || "")
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function matchesMimeType(type, pattern) {
+  if (pattern === "*" || pattern === "*/*") {
+    return true;
+  }
+  if (pattern.endsWith("/*")) {
+    return type.startsWith(pattern.slice(0, -1));
+  }
+  return type === pattern;
+}
+
+export function checkUploadFile(file, { maxSizeMb, allowedTypes } = DEFAULT_UPLOAD_LIMITS) {
+  const maxBytes = Number(maxSizeMb) * 1024 * 1024;
+  if (maxBytes > 0 && file.size > maxBytes) {
+    return { ok: false, error: `File is larger than ${maxSizeMb} MB` };
+  }
+
+  const patterns = parseAllowedTypes(allowedTypes);
+  const type = (file.type || "application/octet-stream").toLowerCase();
+  if (patterns.length > 0 && !patterns.some((pattern) => matchesMimeType(type, pattern))) {
+    return { ok: false, error: `Type ${type} is not allowed. Allowed: ${patterns.join(", ")}` };
+  }
+
+  return { ok: true };
+}
+
+let capabilitiesRequest = null;
+
+function toChunkSize(value, fallback) {
+  return Number(value) > 0 ? Math.min(Number(value), MAX_CHUNK_SIZE) : fallback;
+}
+
+export function fetchUploadCapabilities() {
+  if (!capabilitiesRequest) {
+    capabilitiesRequest = fetch(apiUrl("/api/upload/capabilities"))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch(() => {
+        capabilitiesRequest = null;
+        return {};
+      })
+      .then((capabilities) => ({
+        chunked: capabilities?.chunked === true && capabilities?.checksum === "sha256",
+        chunkSize: toChunkSize(capabilities?.chunkSize, DEFAULT_CHUNK_SIZE),
+        maxSizeMb:
+          Number(capabilities?.maxSize) > 0
+            ? Math.floor(Number(capabilities.maxSize) / (1024 * 1024))
+            : 0,
+      }));
+  }
+  return capabilitiesRequest;
+}
+
+export async function fetchUploadLimits() {
+  const capabilities = await fetchUploadCapabilities();
+  if (CONFIGURED_MAX_SIZE_MB > 0 || !capabilities.chunked || !globalThis.crypto?.subtle) {
+    return DEFAULT_UPLOAD_LIMITS;
+  }
+  return { ...DEFAULT_UPLOAD_LIMITS, maxSizeMb: capabilities.maxSizeMb };
+}
+
+function abortError() {
+  const error = new Error("Upload cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+function readUploadResponse(request) {
+  try {
+    return JSON.parse(request.responseText || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function sendRequest({ method, path, body, headers = {}, signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+
+    request.upload.onprogress = (event) => onProgress?.(event.loaded);
+
+    request.onload = () => {
+      resolve({
+        ok: request.status >= 200 && request.status < 300,
+        status: request.status,
+        result: readUploadResponse(request),
+      });
+    };
+
+    request.onerror = () => reject(new Error("File upload failed: network error"));
+
+    request.onabort = () => reject(abortError());
+
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    signal?.addEventListener("abort", () => request.abort(), { once: true });
+
+    request.open(method, apiUrl(path));
+    Object.entries(headers).forEach(([name, value]) => request.setRequestHeader(name, value));
+    request.send(body);
+  });
+}
+
+async function requestJson(path, { method = "GET", body, signal } = {}) {
+  const response = await fetch(apiUrl(path), {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  });
+  const result = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, result };
+}
+
+async function uploadSingleFile(file, fileName, { signal, onProgress }) {
+  const formData = new FormData();
+  formData.append("file", file, fileName);
+
+  const { ok, status, result } = await sendRequest({
+    method: "POST",
+    path: "/api/upload",
+    body: formData,
+    signal,
+    onProgress: (loaded) => onProgress?.({ loaded, total: file.size }),
+  });
+
+  if (!ok) {
+    throw new Error(
+      result.error ||
+        (status === 413
+          ? "File upload failed: the file is larger than the server accepts (HTTP 413)"
+          : `File upload failed (HTTP ${status})`),
+    );
+  }
+  return result;
+}
+
+function readStoredSessions() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function writeStoredSessions(sessions) {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+  } catch {
+    // Without storage the upload still works; it just cannot be resumed after a reload.
+  }
+}
+
+function rememberSession(key, session) {
+  writeStoredSessions({ ...readStoredSessions(), [key]: session });
+}
+
+function forgetSession(key) {
+  const { [key]: _forgotten, ...sessions } = readStoredSessions();
+  writeStoredSessions(sessions);
+}
+
+function sessionKey(file, fileName) {
+  return `${fileName}:${file.size}:${file.lastModified ?? ""}`;
+}
+
+function sessionPath(uploadId) {
+  return `/api/upload/sessions/${encodeURIComponent(uploadId)}`;
+}
+
+async function sha256Base64(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+function wait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status === 460 || status >= 500;
+}
+
+async function openUploadSession(file, fileName, chunkSize, signal) {
+  const key = sessionKey(file, fileName);
+  const stored = readStoredSessions()[key];
+
+  if (stored) {
+    const { ok, status, result } = await requestJson(sessionPath(stored.uploadId), { signal });
+    if (ok && Number.isInteger(result.offset) && result.offset <= file.size) {
+      const parts = (stored.parts || []).filter((part) => part.offset + part.size <= result.offset);
+      return { ...stored, parts, key, offset: result.offset };
+    }
+    if (ok || status === 404 || status === 410) {
+      forgetSession(key);
+    } else {
+      throw new Error(result.error || `Could not resume upload (HTTP ${status})`);
+    }
+  }
+
+  const { ok, status, result } = await requestJson("/api/upload/sessions", {
+    method: "POST",
+    body: {
+      fileName,
+      size: file.size,
+      type: file.type || "application/octet-stream",
+      chunkSize,
+      checksum: "sha256",
+    },
+    signal,
+  });
+  if (!ok || !result.uploadId) {
+    throw new Error(result.error || `Could not start a chunked upload (HTTP ${status})`);
+  }
+
+  const session = {
+    uploadId: String(result.uploadId),
+    chunkSize: toChunkSize(result.chunkSize, chunkSize),
+    parts: [],
+  };
+  rememberSession(key, session);
+  return { ...session, key, offset: 0 };
+}
+
+async function sendChunk(uploadId, chunk, offset, checksum, { signal, onProgress }) {
+  for (let attempt = 1; ; attempt += 1) {
+    let response = null;
+    try {
+      response = await sendRequest({
+        method: "PATCH",
+        path: sessionPath(uploadId),
+        body: chunk,
+        headers: {
+          "Content-Type": "application/offset+octet-stream",
+          "Upload-Offset": String(offset),
+          "Upload-Checksum": `sha256 ${checksum}`,
+        },
+        signal,
+        onProgress,
+      });
+    } catch (error) {
+      if (error.name === "AbortError" || attempt === MAX_CHUNK_ATTEMPTS) {
+        throw error;
+      }
+    }
+
+    if (response?.ok) {
+      return Number.isInteger(response.result.offset)
+        ? response.result.offset
+        : offset + chunk.size;
+    }
+    if (response?.status === 409 && Number.isInteger(response.result.offset)) {
+      return response.result.offset;
+    }
+    if (response && (!isRetryableStatus(response.status) || attempt === MAX_CHUNK_ATTEMPTS)) {
+      throw new Error(
+        response.status === 460
+          ? `Chunk at byte ${offset} failed checksum verification ${attempt} time(s)`
+          : response.result.error || `Chunk upload failed (HTTP ${response.status})`,
+      );
+    }
+
+    await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  }
+}
+
+async function uploadFileInChunks(file, fileName, chunkSize, { signal, onProgress }) {
+  const session = await openUploadSession(file, fileName, chunkSize, signal);
+  let offset = session.offset;
+  onProgress?.({ loaded: offset, total: file.size, resumedFrom: offset });
+
+  while (offset < file.size) {
+    const start = offset;
+    const chunk = file.slice(start, start + session.chunkSize);
+    const checksum = await sha256Base64(chunk);
+    offset = await sendChunk(session.uploadId, chunk, start, checksum, {
+      signal,
+      onProgress: (loaded) => onProgress?.({ loaded: start + loaded, total: file.size }),
+    });
+
+    if (offset === start + chunk.size) {
+      session.parts = [...session.parts, { offset: start, size: chunk.size, checksum }];
+      rememberSession(session.key, {
+        uploadId: session.uploadId,
+        chunkSize: session.chunkSize,
+        parts: session.parts,
+      });
+    }
+  }
+
+  const { ok, status, result } = await requestJson(`${sessionPath(session.uploadId)}/complete`, {
+    method: "POST",
+    body: { checksum: "sha256", parts: session.parts },
+    signal,
+  });
+  if (status === 404 || status === 410 || status === 460) {
+    forgetSession(session.key);
+  }
+  if (status === 460) {
+    throw new Error("Uploaded file does not match the checksums of its chunks; upload again");
+  }
+  if (!ok) {
+    throw new Error(result.error || `Could not complete upload (HTTP ${status})`);
+  }
+  if (result.size !== undefined && Number(result.size) !== file.size) {
+    forgetSession(session.key);
+    throw new Error(`Server stored ${result.size} bytes of ${file.size}; upload again`);
+  }
+
+  forgetSession(session.key);
+  return result;
+}
+
+export async function uploadFile(file, fileName = file.name, { signal, onProgress } = {}) {
+  const capabilities = await fetchUploadCapabilities();
+  if (capabilities.chunked && file.size > capabilities.chunkSize && globalThis.crypto?.subtle) {
+    return uploadFileInChunks(file, fileName, capabilities.chunkSize, { signal, onProgress });
+  }
+  return uploadSingleFile(file, fileName, { signal, onProgress });
+}
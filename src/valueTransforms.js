@@ -0,0 +1,172 @@
+import { UNIT_FACTORS, convertUnit, resolveUnit } from "./unitValues.js";
+
+export const VALUE_RULE_KINDS = [
+  "convert",
+  "multiply",
+  "replace",
+  "lookup",
+  "default",
+  "extract_number",
+];
+
+const NUMBER_PATTERN = /-?\d+(?:[.,]\d+)?/;
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return String(value).trim();
+}
+
+function toNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = toText(value);
+  if (!/^-?\d+(?:[.,]\d+)?$/.test(text)) {
+    return null;
+  }
+  return Number(text.replace(",", "."));
+}
+
+function roundResult(value) {
+  return Number(value.toFixed(6));
+}
+
+function scaleBy(factor) {
+  return (value) => {
+    const number = toNumber(value);
+    return number === null ? value : roundResult(number * factor);
+  };
+}
+
+function compileRule(rule) {
+  const from = toText(rule.from);
+  const to = toText(rule.to);
+
+  switch (rule.rule) {
+    case "convert": {
+      const source = resolveUnit(from);
+      const target = resolveUnit(to);
+      if (!source || !target) {
+        return {
+          ok: false,
+          field: source ? "to" : "from",
+          error: `Unknown unit. Use one of: ${Object.keys(UNIT_FACTORS).join(", ")}`,
+        };
+      }
+      const ratio = convertUnit(1, source, target);
+      if (!ratio.ok) {
+        return { ok: false, field: "to", error: ratio.error };
+      }
+      return { ok: true, value: scaleBy(ratio.value) };
+    }
+    case "multiply": {
+      const factor = toNumber(from);
+      if (factor === null) {
+        return { ok: false, field: "from", error: "multiply expects a numeric factor in from" };
+      }
+      return { ok: true, value: scaleBy(factor) };
+    }
+    case "replace": {
+      let pattern;
+      try {
+        pattern = new RegExp(from, "g");
+      } catch (error) {
+        return { ok: false, field: "from", error: error.message };
+      }
+      return {
+        ok: true,
+        value: (value) => (typeof value === "string" ? value.replace(pattern, to) : value),
+      };
+    }
+    case "default":
+      return { ok: true, value: (value) => value, fallback: to };
+    case "extract_number":
+      return {
+        ok: true,
+        value: (value) => {
+          if (typeof value === "number") {
+            return value;
+          }
+          const match = toText(value).match(NUMBER_PATTERN);
+          return match ? Number(match[0].replace(",", ".")) : value;
+        },
+      };
+    default:
+      return {
+        ok: false,
+        field: "rule",
+        error: `rule must be one of: ${VALUE_RULE_KINDS.join(", ")}`,
+      };
+  }
+}
+
+export function compileValueRules(rules, onError) {
+  const byAttribute = new Map();
+
+  rules.forEach((rule) => {
+    const attribute = toText(rule.attribute).toLowerCase();
+    if (!attribute) {
+      onError(rule, "attribute_identifier", "attribute_identifier is required");
+      return;
+    }
+
+    if (!byAttribute.has(attribute)) {
+      byAttribute.set(attribute, { steps: [], fallback: undefined, lookup: null });
+    }
+    const compiled = byAttribute.get(attribute);
+
+    if (rule.rule === "lookup") {
+      if (!compiled.lookup) {
+        const table = new Map();
+        compiled.lookup = table;
+        compiled.steps.push((value) => {
+          const key = toText(value).toLowerCase();
+          return table.has(key) ? table.get(key) : value;
+        });
+      }
+      compiled.lookup.set(toText(rule.from).toLowerCase(), toText(rule.to));
+      return;
+    }
+
+    const result = compileRule(rule);
+    if (!result.ok) {
+      onError(rule, result.field, result.error);
+      return;
+    }
+
+    if (result.fallback !== undefined) {
+      compiled.fallback = result.fallback;
+    }
+    compiled.steps.push(result.value);
+    compiled.lookup = null;
+  });
+
+  return byAttribute;
+}
+
+function transformScalar(value, compiled) {
+  if (toText(value) === "") {
+    return compiled.fallback === undefined || compiled.fallback === "" ? value : compiled.fallback;
+  }
+  return compiled.steps.reduce((current, step) => step(current), value);
+}
+
+export function applyValueRules(value, compiled) {
+  if (!compiled) {
+    return value;
+  }
+  if (Array.isArray(value) && value.length > 0) {
+    return value.map((entry) => transformScalar(entry, compiled));
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([language, entry]) => [
+        language,
+        transformScalar(entry, compiled),
+      ]),
+    );
+  }
+  return transformScalar(value, compiled);
+}